@@ -50,6 +50,59 @@ const API = {
         return this.request(url, {
             method: 'DELETE'
         });
+    },
+
+    /**
+     * POST and read a Server-Sent Events response, calling
+     * handlers[eventName](data) for each event as it arrives
+     */
+    async stream(url, body, handlers = {}, signal) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            credentials: 'include',
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Request failed');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let event = 'message';
+                let data = '';
+                for (const line of block.split('\n')) {
+                    if (line.startsWith('event:')) {
+                        event = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        data += line.slice(5).trim();
+                    }
+                }
+
+                if (data && handlers[event]) {
+                    handlers[event](JSON.parse(data));
+                }
+            }
+        }
     }
 };
 
@@ -295,6 +348,58 @@ const Loading = {
     }
 };
 
+// Background job helpers
+const Jobs = {
+    /**
+     * Follow a background job until it finishes. Resolves with the completed
+     * job, rejects if it fails or is cancelled. onProgress receives the job
+     * each time it changes.
+     */
+    wait(jobId, onProgress) {
+        return new Promise((resolve, reject) => {
+            const source = new EventSource(`/api/jobs/${jobId}/events`, { withCredentials: true });
+
+            source.addEventListener('job', (event) => {
+                const { job } = JSON.parse(event.data);
+
+                if (onProgress) {
+                    onProgress(job);
+                }
+
+                if (job.status === 'completed') {
+                    source.close();
+                    resolve(job);
+                } else if (job.status === 'failed' || job.status === 'cancelled') {
+                    source.close();
+                    reject(new Error(job.error || `Job ${job.status}`));
+                }
+            });
+
+            // The stream closes after the last event; anything else is a
+            // dropped connection, which EventSource retries by itself
+            source.onerror = () => {
+                if (source.readyState === EventSource.CLOSED) {
+                    reject(new Error('Lost connection to the server'));
+                }
+            };
+        });
+    },
+
+    cancel(jobId) {
+        return API.post(`/api/jobs/${jobId}/cancel`);
+    },
+
+    /**
+     * Show a job's progress message on a button put in its loading state
+     * with Loading.button
+     */
+    showProgress(button, job) {
+        if (button && job.progress && job.progress.message) {
+            button.innerHTML = `<div class="spinner spinner-sm"></div> ${job.progress.message}...`;
+        }
+    }
+};
+
 // Form helper
 const Form = {
     getData(form) {
@@ -540,6 +645,7 @@ window.ACT = {
     Toast,
     Modal,
     Loading,
+    Jobs,
     Form,
     Storage,
     Format,
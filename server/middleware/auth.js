@@ -2,6 +2,8 @@
  * Authentication Middleware
  */
 
+const storage = require('../services/storage');
+
 const authMiddleware = (req, res, next) => {
     if (!req.session || !req.session.userId) {
         return res.status(401).json({
@@ -18,4 +20,36 @@ const optionalAuth = (req, res, next) => {
     next();
 };
 
-module.exports = { authMiddleware, optionalAuth };
+/**
+ * Check whether a user is listed in ADMIN_EMAILS
+ */
+const isAdmin = (user) => {
+    const adminEmails = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+
+    return !!user && !!user.email && adminEmails.includes(user.email.toLowerCase());
+};
+
+/**
+ * Require an admin user (use after authMiddleware)
+ */
+const adminMiddleware = async (req, res, next) => {
+    try {
+        const user = await storage.findOne('users.json', { id: req.session.userId });
+
+        if (!isAdmin(user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin access required',
+                errors: ['You do not have permission to access this resource']
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { authMiddleware, optionalAuth, adminMiddleware, isAdmin };
@@ -0,0 +1,272 @@
+/**
+ * Admin Routes
+ */
+
+const express = require('express');
+const backupService = require('../services/backup');
+const scoreTables = require('../services/scoreTables');
+const storage = require('../services/storage');
+const timing = require('../services/timing');
+const questionBank = require('../services/questionBank');
+const itemStats = require('../services/itemStats');
+
+const router = express.Router();
+
+/**
+ * List backup snapshots
+ * GET /api/admin/backups
+ */
+router.get('/backups', (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            data: { snapshots: backupService.listSnapshots() },
+            message: 'Snapshots retrieved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Take a snapshot now
+ * POST /api/admin/backups
+ */
+router.post('/backups', async (req, res, next) => {
+    try {
+        const snapshot = await backupService.createSnapshot('manual');
+
+        res.status(201).json({
+            success: true,
+            data: { snapshot },
+            message: 'Snapshot created',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Restore one or more collections from a snapshot
+ * POST /api/admin/backups/:name/restore
+ */
+router.post('/backups/:name/restore', async (req, res, next) => {
+    try {
+        const { collections } = req.body;
+
+        if (collections !== undefined && !Array.isArray(collections)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: ['Collections must be an array of collection names']
+            });
+        }
+
+        const result = await backupService.restoreSnapshot(req.params.name, collections);
+
+        res.json({
+            success: true,
+            data: result,
+            message: 'Snapshot restored',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List score table forms
+ * GET /api/admin/score-tables
+ */
+router.get('/score-tables', async (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            data: { forms: await scoreTables.listForms(), defaultForm: scoreTables.DEFAULT_FORM },
+            message: 'Score tables retrieved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Upload a score table form, or replace an uploaded one with the same key
+ * POST /api/admin/score-tables
+ * Body: { key, name, description, sections: { english: { max, minRaw: { "36": 75, ... } }, ... } }
+ */
+router.post('/score-tables', async (req, res, next) => {
+    try {
+        const errors = scoreTables.validateForm(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors
+            });
+        }
+
+        const form = await scoreTables.saveForm(req.body, req.session.userId);
+
+        res.status(201).json({
+            success: true,
+            data: { form },
+            message: 'Score table saved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Delete an uploaded score table form
+ * DELETE /api/admin/score-tables/:key
+ */
+router.delete('/score-tables/:key', async (req, res, next) => {
+    try {
+        const deleted = await scoreTables.removeForm(req.params.key);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Score table not found',
+                errors: []
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {},
+            message: 'Score table deleted',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Question bank size by subject
+ * GET /api/admin/question-bank
+ */
+router.get('/question-bank', async (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            data: await questionBank.stats(),
+            message: 'Question bank retrieved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Item statistics for question bank items, most answered first
+ * GET /api/admin/item-stats?flagged=true&subject=math&limit=50
+ */
+router.get('/item-stats', async (req, res, next) => {
+    try {
+        const { flagged, subject } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+        const items = (await storage.findMany('question_bank.json', subject ? { subject: subject.toLowerCase() } : {}))
+            .filter(item => item.stats)
+            .filter(item => flagged !== 'true' || questionBank.isFlagged(item))
+            .sort((a, b) => b.stats.responses - a.stats.responses);
+
+        res.json({
+            success: true,
+            data: {
+                total: items.length,
+                minResponses: itemStats.MIN_RESPONSES,
+                flags: itemStats.FLAGS,
+                items: items.slice(0, limit).map(item => ({
+                    id: item.id,
+                    subject: item.subject,
+                    topic: item.topic,
+                    question: item.question,
+                    options: item.options,
+                    correctAnswer: item.correctAnswer,
+                    labeledDifficulty: item.labeledDifficulty,
+                    difficulty: item.difficulty,
+                    stats: item.stats
+                }))
+            },
+            message: 'Item statistics retrieved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Recompute item statistics now
+ * POST /api/admin/item-stats
+ */
+router.post('/item-stats', async (req, res, next) => {
+    try {
+        const job = await itemStats.enqueue(req.session.userId);
+
+        res.status(202).json({
+            success: true,
+            data: { job },
+            message: 'Item statistics queued',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Set a student's testing accommodations
+ * PUT /api/admin/users/:id/accommodations
+ * Body: { extendedTime: 0 | 50 | 100 } (percent of extra time on every time limit)
+ */
+router.put('/users/:id/accommodations', async (req, res, next) => {
+    try {
+        const extendedTime = Number(req.body.extendedTime);
+
+        if (!timing.EXTENDED_TIME_OPTIONS.includes(extendedTime)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: [`extendedTime must be one of ${timing.EXTENDED_TIME_OPTIONS.join(', ')}`]
+            });
+        }
+
+        const user = await storage.findOne('users.json', { id: req.params.id });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+                errors: []
+            });
+        }
+
+        const accommodations = { ...user.accommodations, extendedTime };
+        await storage.update('users.json', { id: user.id }, {
+            accommodations,
+            updatedAt: new Date().toISOString()
+        });
+
+        res.json({
+            success: true,
+            data: { userId: user.id, accommodations },
+            message: 'Accommodations updated; they apply to tests and quizzes started from now on',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -148,8 +148,11 @@ router.post('/conversations/:id/messages', async (req, res, next) => {
             .map(m => ({ role: m.role, content: m.content }));
 
         // Get AI response
-        const modelToUse = model || conversation.model || 'deepseek-v3';
-        const aiResponse = await aiService.chatWithTutor(contextMessages, modelToUse);
+        let modelToUse = model || conversation.model || 'deepseek-v3';
+        const aiResponse = await aiService.chatWithTutor(contextMessages, modelToUse, {
+            userId: req.session.userId,
+            onModel: (key) => { modelToUse = key; }
+        });
 
         // Create AI message
         const aiMessage = {
@@ -195,6 +198,154 @@ router.post('/conversations/:id/messages', async (req, res, next) => {
     }
 });
 
+/**
+ * Send a message and stream the AI response as Server-Sent Events
+ * POST /api/chat/conversations/:id/messages/stream
+ *
+ * Events: "user" (the user message), "token" (a chunk of the
+ * response), "done" (the final AI message) and "error". If the client
+ * disconnects mid-response, whatever was streamed so far is saved as a
+ * partial message.
+ */
+router.post('/conversations/:id/messages/stream', async (req, res, next) => {
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    let heartbeat = null;
+
+    try {
+        const { content, model } = req.body;
+
+        if (!content || !content.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message content is required',
+                errors: []
+            });
+        }
+
+        const conversation = await storage.findOne('chat_history.json',
+            c => c.id === req.params.id && c.userId === req.session.userId
+        );
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found',
+                errors: []
+            });
+        }
+
+        const userMessage = {
+            id: uuidv4(),
+            role: 'user',
+            content: content.trim(),
+            timestamp: new Date().toISOString()
+        };
+
+        conversation.messages.push(userMessage);
+
+        const contextMessages = conversation.messages
+            .slice(-10)
+            .map(m => ({ role: m.role, content: m.content }));
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        sendEvent('user', { userMessage });
+
+        // Keep proxies from closing the connection while the model thinks
+        heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+        // Stop generating as soon as the client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                controller.abort();
+            }
+        });
+
+        let modelToUse = model || conversation.model || 'deepseek-v3';
+        let aiResponse;
+        let partial = false;
+
+        try {
+            aiResponse = await aiService.chatWithTutor(contextMessages, modelToUse, {
+                stream: true,
+                userId: req.session.userId,
+                signal: controller.signal,
+                onToken: (token) => sendEvent('token', { content: token }),
+                onModel: (key) => { modelToUse = key; }
+            });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                throw error;
+            }
+            aiResponse = error.partialContent;
+            partial = true;
+        }
+
+        const aiMessage = {
+            id: uuidv4(),
+            role: 'assistant',
+            content: aiResponse,
+            model: modelToUse,
+            timestamp: new Date().toISOString()
+        };
+
+        if (partial) {
+            aiMessage.partial = true;
+        }
+
+        // A response cancelled before its first token leaves only the question
+        if (aiResponse) {
+            conversation.messages.push(aiMessage);
+        }
+
+        if (conversation.messages.length <= 2 && conversation.title === 'New Conversation') {
+            conversation.title = content.slice(0, 50) + (content.length > 50 ? '...' : '');
+        }
+
+        if (model) {
+            conversation.model = model;
+        }
+
+        conversation.updatedAt = new Date().toISOString();
+
+        await storage.update('chat_history.json', c => c.id === req.params.id, conversation);
+
+        clearInterval(heartbeat);
+
+        if (!partial) {
+            sendEvent('done', {
+                aiMessage,
+                conversation: {
+                    id: conversation.id,
+                    title: conversation.title,
+                    messageCount: conversation.messages.length
+                }
+            });
+            res.end();
+        }
+    } catch (error) {
+        clearInterval(heartbeat);
+
+        if (!res.headersSent) {
+            return next(error);
+        }
+
+        // Headers are gone, so report the failure in the stream
+        console.error('Chat stream error:', error);
+        sendEvent('error', {
+            message: process.env.NODE_ENV === 'production' && !error.statusCode ? 'Internal server error' : error.message
+        });
+        res.end();
+    }
+});
+
 /**
  * Regenerate last AI response
  * POST /api/chat/conversations/:id/regenerate
@@ -233,8 +384,11 @@ router.post('/conversations/:id/regenerate', async (req, res, next) => {
             .slice(-10)
             .map(m => ({ role: m.role, content: m.content }));
 
-        const modelToUse = model || conversation.model || 'deepseek-v3';
-        const aiResponse = await aiService.chatWithTutor(contextMessages, modelToUse);
+        let modelToUse = model || conversation.model || 'deepseek-v3';
+        const aiResponse = await aiService.chatWithTutor(contextMessages, modelToUse, {
+            userId: req.session.userId,
+            onModel: (key) => { modelToUse = key; }
+        });
 
         const aiMessage = {
             id: uuidv4(),
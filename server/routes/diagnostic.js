@@ -0,0 +1,82 @@
+/**
+ * Diagnostic Routes
+ */
+
+const express = require('express');
+const storage = require('../services/storage');
+const diagnosticService = require('../services/diagnostic');
+
+const router = express.Router();
+
+/**
+ * Get the current user's latest diagnostic and the state of its sections
+ * GET /api/diagnostic
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const [diagnostic] = await storage.findMany('diagnostics.json', { userId: req.session.userId }, {
+            sort: { field: 'createdAt', order: 'desc' },
+            limit: 1
+        });
+
+        const current = diagnostic ? await diagnosticService.refresh(diagnostic) : { diagnostic: null, sections: [] };
+
+        res.json({
+            success: true,
+            data: {
+                ...current,
+                questionsPerSection: diagnosticService.QUESTIONS
+            },
+            message: diagnostic ? 'Diagnostic retrieved' : 'No diagnostic taken yet',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Start a placement diagnostic: one short adaptive quiz per section. A
+ * diagnostic in progress is replaced only with { restart: true }, unless
+ * it can no longer be finished.
+ * POST /api/diagnostic
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const { restart } = req.body;
+
+        const inProgress = await storage.findOne('diagnostics.json', {
+            userId: req.session.userId,
+            status: 'in_progress'
+        });
+
+        if (inProgress) {
+            const { diagnostic: current } = await diagnosticService.refresh(inProgress);
+
+            if (current.status === 'in_progress' && !restart) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A diagnostic is already in progress',
+                    errors: ['Finish its sections, or send restart: true to start over']
+                });
+            }
+
+            if (current.status === 'in_progress') {
+                await diagnosticService.cancel(current);
+            }
+        }
+
+        const diagnostic = await diagnosticService.start(req.session.userId);
+
+        res.status(202).json({
+            success: true,
+            data: { diagnostic, sections: await diagnosticService.sections(diagnostic) },
+            message: 'Diagnostic started',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const storage = require('../services/storage');
 const aiService = require('../services/ai');
+const jobs = require('../services/jobs');
 
 const router = express.Router();
 
@@ -103,7 +104,7 @@ router.post('/prompts/generate', async (req, res, next) => {
     try {
         const { category, model } = req.body;
 
-        const prompt = await aiService.generateEssayPrompt(category, model);
+        const prompt = await aiService.generateEssayPrompt(category, model, { userId: req.session.userId });
 
         res.json({
             success: true,
@@ -228,6 +229,62 @@ router.put('/:id', async (req, res, next) => {
     }
 });
 
+/**
+ * Grade a submitted essay in the background (see services/jobs). The first
+ * grade also counts towards writing progress; re-grades only replace it.
+ */
+jobs.register('essayGrading', async (job, context) => {
+    const { signal } = context;
+    const { userId } = job;
+    const { essayId, model } = job.params;
+
+    const essay = await storage.findOne('essays.json', e => e.id === essayId && e.userId === userId);
+    if (!essay) {
+        throw new Error('Essay not found');
+    }
+    const firstGrade = essay.status !== 'graded';
+
+    await context.progress(0, 1, 'Grading essay');
+
+    // Grade the essay using AI
+    const grading = await aiService.gradeEssay(essay.prompt, essay.content, model, { userId, signal });
+
+    signal.throwIfAborted();
+
+    const now = new Date().toISOString();
+    await storage.update('essays.json', e => e.id === essayId, {
+        grading,
+        status: 'graded',
+        gradedAt: now,
+        updatedAt: now
+    });
+
+    // Update progress
+    const progress = await storage.findOne('progress.json', p => p.userId === userId);
+    if (progress && firstGrade) {
+        progress.subjects.writing.essays++;
+        const totalScore = grading.scores.overall;
+        progress.subjects.writing.averageScore = 
+            (progress.subjects.writing.averageScore * (progress.subjects.writing.essays - 1) + totalScore) / 
+            progress.subjects.writing.essays;
+
+        progress.activityLog.unshift({
+            type: 'essay_graded',
+            essayId,
+            score: totalScore,
+            timestamp: new Date().toISOString()
+        });
+        progress.activityLog = progress.activityLog.slice(0, 100);
+
+        await storage.update('progress.json', p => p.userId === userId, {
+            subjects: progress.subjects,
+            activityLog: progress.activityLog
+        });
+    }
+
+    return { type: 'essay', id: essayId };
+});
+
 /**
  * Submit essay for grading
  * POST /api/essays/:id/submit
@@ -268,43 +325,17 @@ router.post('/:id/submit', async (req, res, next) => {
 
         essay.status = 'submitted';
         essay.submittedAt = new Date().toISOString();
-
-        // Grade the essay using AI
-        const grading = await aiService.gradeEssay(essay.prompt, essay.content, model);
-        essay.grading = grading;
-        essay.status = 'graded';
-        essay.gradedAt = new Date().toISOString();
         essay.updatedAt = new Date().toISOString();
 
         await storage.update('essays.json', e => e.id === req.params.id, essay);
 
-        // Update progress
-        const progress = await storage.findOne('progress.json', p => p.userId === req.session.userId);
-        if (progress) {
-            progress.subjects.writing.essays++;
-            const totalScore = grading.scores.overall;
-            progress.subjects.writing.averageScore = 
-                (progress.subjects.writing.averageScore * (progress.subjects.writing.essays - 1) + totalScore) / 
-                progress.subjects.writing.essays;
-
-            progress.activityLog.unshift({
-                type: 'essay_graded',
-                essayId: essay.id,
-                score: totalScore,
-                timestamp: new Date().toISOString()
-            });
-            progress.activityLog = progress.activityLog.slice(0, 100);
+        // Grading runs in the background
+        const job = await jobs.enqueue('essayGrading', req.session.userId, { essayId: essay.id, model });
 
-            await storage.update('progress.json', p => p.userId === req.session.userId, {
-                subjects: progress.subjects,
-                activityLog: progress.activityLog
-            });
-        }
-
-        res.json({
+        res.status(202).json({
             success: true,
-            data: { essay, grading },
-            message: 'Essay submitted and graded',
+            data: { essay, job },
+            message: 'Essay submitted for grading',
             errors: []
         });
     } catch (error) {
@@ -332,18 +363,21 @@ router.post('/:id/regrade', async (req, res, next) => {
             });
         }
 
-        // Grade again
-        const grading = await aiService.gradeEssay(essay.prompt, essay.content, model);
-        essay.grading = grading;
-        essay.gradedAt = new Date().toISOString();
-        essay.updatedAt = new Date().toISOString();
+        if (essay.status === 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Essay not submitted',
+                errors: ['Submit the essay before requesting a grade']
+            });
+        }
 
-        await storage.update('essays.json', e => e.id === req.params.id, essay);
+        // Grade again in the background
+        const job = await jobs.enqueue('essayGrading', req.session.userId, { essayId: essay.id, model });
 
-        res.json({
+        res.status(202).json({
             success: true,
-            data: { essay, grading },
-            message: 'Essay re-graded',
+            data: { essay, job },
+            message: 'Essay re-grading started',
             errors: []
         });
     } catch (error) {
@@ -149,7 +149,11 @@ router.post('/generate', async (req, res, next) => {
             });
         }
 
-        const generatedCards = await aiService.generateFlashcards(topic, count || 10, model);
+        let answeredBy = model || 'deepseek-v3';
+        const generatedCards = await aiService.generateFlashcards(topic, count || 10, model, {
+            userId: req.session.userId,
+            onModel: (key) => { answeredBy = key; }
+        });
 
         const deck = {
             id: uuidv4(),
@@ -169,7 +173,7 @@ router.post('/generate', async (req, res, next) => {
                 createdAt: new Date().toISOString()
             })),
             generated: true,
-            model: model || 'deepseek-v3',
+            model: answeredBy,
             lastStudied: null,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
@@ -0,0 +1,165 @@
+/**
+ * Background Jobs Routes
+ */
+
+const express = require('express');
+const jobs = require('../services/jobs');
+
+const router = express.Router();
+
+const EVENTS_POLL_MS = 1000;
+
+/**
+ * Get current user's jobs
+ * GET /api/jobs?status=&type=
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const { status, type } = req.query;
+        const list = await jobs.listJobs(req.session.userId, { status, type });
+
+        res.json({
+            success: true,
+            data: { jobs: list },
+            message: 'Jobs retrieved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get a job's status, progress and result
+ * GET /api/jobs/:id
+ */
+router.get('/:id', async (req, res, next) => {
+    try {
+        const job = await jobs.getJob(req.params.id, req.session.userId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found',
+                errors: []
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { job },
+            message: 'Job retrieved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Follow a job as Server-Sent Events
+ * GET /api/jobs/:id/events
+ *
+ * Sends a "job" event whenever the job changes and closes the stream once
+ * it has completed, failed or been cancelled.
+ */
+router.get('/:id/events', async (req, res, next) => {
+    let timer = null;
+
+    try {
+        let job = await jobs.getJob(req.params.id, req.session.userId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found',
+                errors: []
+            });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        const send = () => res.write(`event: job\ndata: ${JSON.stringify({ job })}\n\n`);
+        send();
+
+        if (jobs.FINISHED.includes(job.status)) {
+            return res.end();
+        }
+
+        // The job may be running in another process, so watch storage
+        let lastUpdate = job.updatedAt;
+        let polls = 0;
+        timer = setInterval(async () => {
+            try {
+                job = await jobs.getJob(req.params.id, req.session.userId);
+                if (!job) {
+                    clearInterval(timer);
+                    return res.end();
+                }
+
+                if (job.updatedAt !== lastUpdate) {
+                    lastUpdate = job.updatedAt;
+                    send();
+                } else if (++polls % 15 === 0) {
+                    // Keep proxies from closing an idle connection
+                    res.write(': ping\n\n');
+                }
+
+                if (jobs.FINISHED.includes(job.status)) {
+                    clearInterval(timer);
+                    res.end();
+                }
+            } catch (error) {
+                clearInterval(timer);
+                res.end();
+            }
+        }, EVENTS_POLL_MS);
+
+        res.on('close', () => clearInterval(timer));
+    } catch (error) {
+        clearInterval(timer);
+        next(error);
+    }
+});
+
+/**
+ * Cancel a queued or running job
+ * POST /api/jobs/:id/cancel
+ */
+router.post('/:id/cancel', async (req, res, next) => {
+    try {
+        const job = await jobs.cancel(req.params.id, req.session.userId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found',
+                errors: []
+            });
+        }
+
+        if (job.status !== 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: `Job already ${job.status}`,
+                errors: []
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { job },
+            message: 'Job cancelled',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
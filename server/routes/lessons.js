@@ -6,6 +6,7 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const storage = require('../services/storage');
 const aiService = require('../services/ai');
+const jobs = require('../services/jobs');
 
 const router = express.Router();
 
@@ -161,6 +162,80 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
+/**
+ * Generate a lesson in the background (see services/jobs)
+ */
+jobs.register('lesson', async (job, context) => {
+    const { signal } = context;
+    const { userId } = job;
+    const { subject, topic, difficulty, length, focusAreas, model } = job.params;
+
+    await context.progress(0, 1, 'Writing lesson');
+
+    // Generate lesson content using AI (a fallback model may answer)
+    let answeredBy = model || 'deepseek-v3';
+    const content = await aiService.generateLesson(subject, topic, difficulty, length, focusAreas, model, {
+        userId,
+        signal,
+        onModel: (key) => { answeredBy = key; }
+    });
+
+    signal.throwIfAborted();
+
+    // Create lesson object
+    const lesson = {
+        id: uuidv4(),
+        userId: userId,
+        title: `${subject}: ${topic}`,
+        subject,
+        topic: topic,
+        difficulty,
+        length,
+        focusAreas,
+        content,
+        notes: '',
+        completed: false,
+        favorite: false,
+        model: answeredBy,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    await storage.insert('lessons.json', lesson);
+
+    // Update user stats
+    const user = await storage.findOne('users.json', u => u.id === userId);
+    if (user) {
+        user.stats.xp += 50;
+        user.stats.lessonsCompleted++;
+        
+        // Check for level up
+        const xpForNextLevel = user.stats.level * 100;
+        if (user.stats.xp >= xpForNextLevel) {
+            user.stats.level++;
+        }
+
+        await storage.update('users.json', u => u.id === userId, { stats: user.stats });
+    }
+
+    // Log activity
+    const progress = await storage.findOne('progress.json', p => p.userId === userId);
+    if (progress) {
+        progress.activityLog.unshift({
+            type: 'lesson_generated',
+            subject,
+            topic: topic,
+            lessonId: lesson.id,
+            timestamp: new Date().toISOString()
+        });
+        // Keep only last 100 activities
+        progress.activityLog = progress.activityLog.slice(0, 100);
+        await storage.update('progress.json', p => p.userId === userId, { activityLog: progress.activityLog });
+    }
+
+    return { type: 'lesson', id: lesson.id };
+});
+
 /**
  * Generate a new lesson
  * POST /api/lessons/generate
@@ -187,71 +262,19 @@ router.post('/generate', async (req, res, next) => {
             });
         }
 
-        // Generate lesson content using AI
-        const content = await aiService.generateLesson(
-            subject,
-            topicToUse,
-            difficulty || 'Intermediate',
-            length || 'Medium',
-            focusAreas || ['Concepts', 'Examples', 'Practice Problems'],
-            model
-        );
-
-        // Create lesson object
-        const lesson = {
-            id: uuidv4(),
-            userId: req.session.userId,
-            title: `${subject}: ${topicToUse}`,
+        const job = await jobs.enqueue('lesson', req.session.userId, {
             subject,
             topic: topicToUse,
             difficulty: difficulty || 'Intermediate',
             length: length || 'Medium',
             focusAreas: focusAreas || ['Concepts', 'Examples', 'Practice Problems'],
-            content,
-            notes: '',
-            completed: false,
-            favorite: false,
-            model: model || 'deepseek-v3',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-
-        await storage.insert('lessons.json', lesson);
-
-        // Update user stats
-        const user = await storage.findOne('users.json', u => u.id === req.session.userId);
-        if (user) {
-            user.stats.xp += 50;
-            user.stats.lessonsCompleted = (user.stats.lessonsCompleted || 0) + 1;
-            
-            // Check for level up
-            const xpForNextLevel = user.stats.level * 100;
-            if (user.stats.xp >= xpForNextLevel) {
-                user.stats.level++;
-            }
-
-            await storage.update('users.json', u => u.id === req.session.userId, { stats: user.stats });
-        }
-
-        // Log activity
-        const progress = await storage.findOne('progress.json', p => p.userId === req.session.userId);
-        if (progress) {
-            progress.activityLog.unshift({
-                type: 'lesson_generated',
-                subject,
-                topic: topicToUse,
-                lessonId: lesson.id,
-                timestamp: new Date().toISOString()
-            });
-            // Keep only last 100 activities
-            progress.activityLog = progress.activityLog.slice(0, 100);
-            await storage.update('progress.json', p => p.userId === req.session.userId, { activityLog: progress.activityLog });
-        }
+            model
+        });
 
-        res.status(201).json({
+        res.status(202).json({
             success: true,
-            data: { lesson },
-            message: 'Lesson generated successfully',
+            data: { job },
+            message: 'Lesson generation started',
             errors: []
         });
     } catch (error) {
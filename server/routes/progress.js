@@ -4,6 +4,7 @@
 
 const express = require('express');
 const storage = require('../services/storage');
+const norms = require('../services/norms');
 
 const router = express.Router();
 
@@ -49,33 +50,29 @@ router.get('/', async (req, res, next) => {
  */
 router.get('/analytics', async (req, res, next) => {
     try {
-        const progress = await storage.findOne('progress.json', 
-            p => p.userId === req.session.userId
-        );
+        const progress = await storage.findOne('progress.json', { userId: req.session.userId });
 
-        const user = await storage.findOne('users.json', 
-            u => u.id === req.session.userId
-        );
+        const user = await storage.findOne('users.json', { id: req.session.userId });
 
         // Get all quizzes for score history
         const quizzes = await storage.findMany('quizzes.json', 
-            q => q.userId === req.session.userId && q.status === 'completed'
+            { userId: req.session.userId, status: 'completed' },
+            { sort: { field: 'completedAt', order: 'asc' } }
         );
 
         // Get all tests for composite score history
         const tests = await storage.findMany('tests.json', 
-            t => t.userId === req.session.userId && t.status === 'completed'
+            { userId: req.session.userId, status: 'completed' },
+            { sort: { field: 'completedAt', order: 'asc' } }
         );
 
         // Calculate analytics
-        const scoreHistory = quizzes
-            .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
-            .map(q => ({
-                date: q.completedAt,
-                subject: q.subject,
-                score: q.score.percentage,
-                type: 'quiz'
-            }));
+        const scoreHistory = quizzes.map(q => ({
+            date: q.completedAt,
+            subject: q.subject,
+            score: q.score.percentage,
+            type: 'quiz'
+        }));
 
         tests.forEach(t => {
             scoreHistory.push({
@@ -94,6 +91,8 @@ router.get('/analytics', async (req, res, next) => {
         if (tests.length > 0) {
             const recentTests = tests.slice(-3);
             estimatedScore = Math.round(recentTests.reduce((sum, t) => sum + t.compositeScore, 0) / recentTests.length);
+        } else if (progress && progress.diagnostic) {
+            estimatedScore = progress.diagnostic.composite;
         } else if (progress && progress.subjects) {
             const subjectScores = Object.values(progress.subjects)
                 .filter(s => s.score > 0)
@@ -143,12 +142,14 @@ router.get('/analytics', async (req, res, next) => {
             data: {
                 scoreHistory,
                 estimatedScore,
+                percentileRank: norms.percentile('composite', estimatedScore),
                 subjects: progress?.subjects || {},
                 testScores: progress?.testScores || [],
                 studyByDay,
                 topicScores,
                 strengths,
                 weaknesses,
+                diagnostic: progress?.diagnostic || null,
                 stats: user?.stats || {},
                 recentActivity: (progress?.activityLog || []).slice(0, 20)
             },
@@ -210,7 +211,7 @@ router.post('/study-time', async (req, res, next) => {
 
         const user = await storage.findOne('users.json', u => u.id === req.session.userId);
         if (user) {
-            user.stats.totalStudyTime = (user.stats.totalStudyTime || 0) + (minutes || 0);
+            user.stats.totalStudyTime += minutes || 0;
             
             // Update streak
             const today = new Date().toDateString();
@@ -308,15 +309,16 @@ router.get('/export', async (req, res, next) => {
     try {
         const userId = req.session.userId;
 
-        const user = await storage.findOne('users.json', u => u.id === userId);
-        const progress = await storage.findOne('progress.json', p => p.userId === userId);
-        const lessons = await storage.findMany('lessons.json', l => l.userId === userId);
-        const quizzes = await storage.findMany('quizzes.json', q => q.userId === userId);
-        const tests = await storage.findMany('tests.json', t => t.userId === userId);
-        const chats = await storage.findMany('chat_history.json', c => c.userId === userId);
-        const plans = await storage.findMany('study_plans.json', p => p.userId === userId);
-        const essays = await storage.findMany('essays.json', e => e.userId === userId);
-        const flashcards = await storage.findMany('flashcards.json', f => f.userId === userId);
+        const user = await storage.findOne('users.json', { id: userId });
+        const progress = await storage.findOne('progress.json', { userId });
+        const lessons = await storage.findMany('lessons.json', { userId });
+        const quizzes = await storage.findMany('quizzes.json', { userId });
+        const tests = await storage.findMany('tests.json', { userId });
+        const chats = await storage.findMany('chat_history.json', { userId });
+        const plans = await storage.findMany('study_plans.json', { userId });
+        const essays = await storage.findMany('essays.json', { userId });
+        const flashcards = await storage.findMany('flashcards.json', { userId });
+        const usage = await storage.findMany('usage.json', { userId });
 
         // Remove sensitive data
         if (user) {
@@ -333,7 +335,8 @@ router.get('/export', async (req, res, next) => {
             chats,
             studyPlans: plans,
             essays,
-            flashcards
+            flashcards,
+            usage
         };
 
         res.json({
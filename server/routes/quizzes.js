@@ -6,6 +6,12 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const storage = require('../services/storage');
 const aiService = require('../services/ai');
+const jobs = require('../services/jobs');
+const timing = require('../services/timing');
+const answerLog = require('../services/answerLog');
+const questionBank = require('../services/questionBank');
+const adaptive = require('../services/adaptive');
+const diagnostic = require('../services/diagnostic');
 
 const router = express.Router();
 
@@ -17,18 +23,16 @@ router.get('/', async (req, res, next) => {
     try {
         const { subject, status, page = 1, limit = 12 } = req.query;
         
-        let predicate = (quiz) => quiz.userId === req.session.userId;
+        const where = { userId: req.session.userId };
 
         if (subject) {
-            const oldPredicate = predicate;
-            predicate = (quiz) => oldPredicate(quiz) && quiz.subject === subject;
+            where.subject = subject;
         }
         if (status) {
-            const oldPredicate = predicate;
-            predicate = (quiz) => oldPredicate(quiz) && quiz.status === status;
+            where.status = status;
         }
 
-        const result = await storage.paginate('quizzes.json', predicate, parseInt(page), parseInt(limit), 
+        const result = await storage.paginate('quizzes.json', where, parseInt(page), parseInt(limit), 
             { field: 'createdAt', order: 'desc' }
         );
 
@@ -63,7 +67,7 @@ router.get('/:id', async (req, res, next) => {
 
         res.json({
             success: true,
-            data: { quiz },
+            data: { quiz, timer: quiz.deadline ? timing.describe(quiz) : null },
             message: 'Quiz retrieved',
             errors: []
         });
@@ -72,13 +76,186 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
+/**
+ * Pick an adaptive quiz's next question: an unseen bank item close to the
+ * student's ability, or a new one written at that level
+ * @param {Object} options - { userId, subject, topic, model, theta, exclude: Set of bank ids, source, signal }
+ * @returns {Promise<Object|null>} - The question, with bankId, model and irtDifficulty
+ */
+async function nextAdaptiveQuestion({ userId, subject, topic, model, theta, exclude, source, signal }) {
+    // Adaptive quizzes on no particular topic draw from the whole subject
+    const item = adaptive.pick(await questionBank.candidates({
+        subject,
+        topic: topic === 'General' ? null : topic,
+        exclude
+    }), theta);
+
+    if (item) {
+        return { ...(await questionBank.use(item)), irtDifficulty: adaptive.itemDifficulty(item) };
+    }
+
+    const difficulty = adaptive.labelFor(theta);
+    let answeredBy = model || 'deepseek-v3';
+    const generated = await aiService.generateQuiz(subject, topic, 1, difficulty, model, {
+        userId,
+        signal,
+        onModel: (key) => { answeredBy = key; }
+    });
+
+    const banked = await questionBank.add(generated, { subject, topic, difficulty, model: answeredBy, source });
+    const question = banked.questions.find(q => !exclude.has(q.bankId));
+
+    return question ? { ...question, model: answeredBy, irtDifficulty: adaptive.itemDifficulty({ difficulty }) } : null;
+}
+
+/**
+ * Answered questions of an adaptive quiz, for ability estimates
+ */
+function adaptiveResponses(quiz, answers) {
+    return quiz.questions
+        .filter(q => answers[q.id])
+        .map(q => ({ difficulty: q.irtDifficulty || 0, options: q.options, correct: answers[q.id] === q.correctAnswer }));
+}
+
+/**
+ * Generate a quiz in the background (see services/jobs). Unseen questions
+ * from the question bank are used first; the AI writes the rest, which go
+ * into the bank. Adaptive quizzes start with one question and get the
+ * rest as they are answered.
+ */
+jobs.register('quiz', async (job, context) => {
+    const { signal } = context;
+    const { userId } = job;
+    const { subject, topic, questionsCount, difficulty, timed, timeLimit, fromBank, model, adaptive: isAdaptive } = job.params;
+
+    if (isAdaptive) {
+        await context.progress(0, 1, 'Choosing the first question');
+
+        const first = await nextAdaptiveQuestion({
+            userId,
+            subject,
+            topic,
+            model,
+            theta: 0,
+            exclude: await questionBank.seenBy(userId),
+            source: { type: 'quiz', jobId: job.id },
+            signal
+        });
+        if (!first) {
+            throw new Error('No new question available for this subject');
+        }
+
+        const { model: firstModel, ...question } = first;
+        return createQuiz(userId, job.params, [question], firstModel);
+    }
+
+    const drawn = fromBank === false ? [] : await questionBank.drawQuestions({
+        subject,
+        topic,
+        difficulty,
+        count: questionsCount,
+        exclude: await questionBank.seenBy(userId)
+    });
+    const missing = questionsCount - drawn.length;
+
+    await context.progress(0, 1, missing > 0
+        ? `Writing ${missing} questions${drawn.length > 0 ? ` (${drawn.length} from the question bank)` : ''}`
+        : 'Assembling from the question bank');
+
+    // Generate the missing questions using AI (a fallback model may answer)
+    let answeredBy = model || 'deepseek-v3';
+    let generated = [];
+    if (missing > 0) {
+        const questions = await aiService.generateQuiz(subject, topic, missing, difficulty, model, {
+            userId,
+            signal,
+            onModel: (key) => { answeredBy = key; }
+        });
+
+        signal.throwIfAborted();
+
+        const banked = await questionBank.add(questions, {
+            subject,
+            topic,
+            difficulty,
+            model: answeredBy,
+            source: { type: 'quiz', jobId: job.id }
+        });
+
+        // A new question that repeats one drawn for this quiz is dropped
+        const drawnIds = new Set(drawn.map(q => q.bankId));
+        generated = banked.questions.filter(q => !drawnIds.has(q.bankId));
+    }
+
+    const questions = [...drawn.map(({ model: _, ...question }) => question), ...generated];
+    const models = new Set([...drawn.map(q => q.model), ...(generated.length > 0 ? [answeredBy] : [])].filter(Boolean));
+
+    return createQuiz(userId, job.params, questions, models.size === 1 ? [...models][0] : (model || 'deepseek-v3'));
+});
+
+/**
+ * Store a generated quiz
+ * @returns {Promise<Object>} - The job result
+ */
+async function createQuiz(userId, params, questions, model) {
+    const { subject, topic, questionsCount, difficulty, timed, timeLimit, adaptive: isAdaptive } = params;
+
+    // Create quiz object
+    const quiz = {
+        id: uuidv4(),
+        userId,
+        title: `${subject}: ${topic} ${isAdaptive ? 'Adaptive ' : ''}Quiz`,
+        subject,
+        topic,
+        difficulty: isAdaptive ? 'Adaptive' : difficulty,
+        adaptive: !!isAdaptive,
+        timed: timed || false,
+        timeLimit: timed ? (timeLimit || questionsCount * 2) : null, // 2 minutes per question default
+        questions: questions.map((q, index) => ({
+            id: uuidv4(),
+            number: index + 1,
+            ...q,
+            userAnswer: null,
+            flagged: false
+        })),
+        status: 'not_started', // not_started, in_progress, completed
+        score: null,
+        answers: {},
+        startedAt: null,
+        deadline: null,
+        completedAt: null,
+        timeSpent: null,
+        model,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    // Adaptive quizzes stop at maxQuestions at the latest
+    if (isAdaptive) {
+        quiz.maxQuestions = questionsCount;
+        quiz.ability = { ...adaptive.summary(adaptive.estimate([])), history: [] };
+    }
+
+    // Sections of a placement diagnostic (see services/diagnostic)
+    if (params.diagnosticId) {
+        quiz.diagnosticId = params.diagnosticId;
+        quiz.title = `${subject} Diagnostic`;
+    }
+
+    await storage.insert('quizzes.json', quiz);
+
+    return { type: 'quiz', id: quiz.id };
+}
+
 /**
  * Generate a new quiz
  * POST /api/quizzes/generate
+ * Body: { subject, topic, numQuestions, difficulty, timed, timeLimit, fromBank, adaptive, model }
+ * (adaptive quizzes ignore difficulty and use numQuestions as their limit)
  */
 router.post('/generate', async (req, res, next) => {
     try {
-        const { subject, topic, customTopic, numQuestions, difficulty, timed, timeLimit, model } = req.body;
+        const { subject, topic, customTopic, numQuestions, difficulty, timed, timeLimit, fromBank, model, adaptive: isAdaptive } = req.body;
 
         // Validation
         if (!subject) {
@@ -89,52 +266,22 @@ router.post('/generate', async (req, res, next) => {
             });
         }
 
-        const topicToUse = customTopic || topic || 'General';
-        const questionsCount = Math.min(Math.max(numQuestions || 10, 5), 30);
-
-        // Generate quiz questions using AI
-        const questions = await aiService.generateQuiz(
+        const job = await jobs.enqueue('quiz', req.session.userId, {
             subject,
-            topicToUse,
-            questionsCount,
-            difficulty || 'Intermediate',
-            model
-        );
-
-        // Create quiz object
-        const quiz = {
-            id: uuidv4(),
-            userId: req.session.userId,
-            title: `${subject}: ${topicToUse} Quiz`,
-            subject,
-            topic: topicToUse,
+            topic: customTopic || topic || 'General',
+            questionsCount: Math.min(Math.max(numQuestions || (isAdaptive ? 30 : 10), 5), 30),
             difficulty: difficulty || 'Intermediate',
-            timed: timed || false,
-            timeLimit: timed ? (timeLimit || questionsCount * 2) : null, // 2 minutes per question default
-            questions: questions.map((q, index) => ({
-                id: uuidv4(),
-                number: index + 1,
-                ...q,
-                userAnswer: null,
-                flagged: false
-            })),
-            status: 'not_started', // not_started, in_progress, completed
-            score: null,
-            answers: {},
-            startedAt: null,
-            completedAt: null,
-            timeSpent: null,
-            model: model || 'deepseek-v3',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-
-        await storage.insert('quizzes.json', quiz);
+            timed,
+            timeLimit,
+            fromBank: fromBank !== false,
+            adaptive: !!isAdaptive,
+            model
+        });
 
-        res.status(201).json({
+        res.status(202).json({
             success: true,
-            data: { quiz },
-            message: 'Quiz generated successfully',
+            data: { job },
+            message: 'Quiz generation started',
             errors: []
         });
     } catch (error) {
@@ -174,6 +321,15 @@ router.post('/:id/start', async (req, res, next) => {
             updatedAt: new Date().toISOString()
         };
 
+        // Timed quizzes get their deadline when first started; restarting
+        // doesn't reset the clock
+        if (quiz.timed && quiz.timeLimit && !quiz.deadline) {
+            const user = await storage.findOne('users.json', u => u.id === req.session.userId);
+            const clock = timing.start(quiz.timeLimit, timing.multiplier(user));
+            updates.startedAt = quiz.startedAt || clock.startedAt;
+            updates.deadline = clock.deadline;
+        }
+
         const updatedQuiz = await storage.update('quizzes.json', 
             q => q.id === req.params.id, 
             updates
@@ -181,7 +337,7 @@ router.post('/:id/start', async (req, res, next) => {
 
         res.json({
             success: true,
-            data: { quiz: updatedQuiz },
+            data: { quiz: updatedQuiz, timer: updatedQuiz.deadline ? timing.describe(updatedQuiz) : null },
             message: 'Quiz started',
             errors: []
         });
@@ -196,7 +352,7 @@ router.post('/:id/start', async (req, res, next) => {
  */
 router.put('/:id/answers', async (req, res, next) => {
     try {
-        const { answers, flagged } = req.body;
+        const { answers, flagged, viewed } = req.body;
 
         const quiz = await storage.findOne('quizzes.json', 
             q => q.id === req.params.id && q.userId === req.session.userId
@@ -218,6 +374,38 @@ router.put('/:id/answers', async (req, res, next) => {
             });
         }
 
+        // The clock of a timed quiz starts with POST /start
+        if (quiz.status !== 'in_progress') {
+            return res.status(400).json({
+                success: false,
+                message: 'Quiz not started',
+                errors: ['Start the quiz before answering']
+            });
+        }
+
+        if (quiz.adaptive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Adaptive quizzes take one answer at a time',
+                errors: ['Answer the current question with POST /api/quizzes/:id/next']
+            });
+        }
+
+        if (timing.isExpired(quiz.deadline)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Time is up',
+                errors: ['The time limit for this quiz has passed; submit it to see your score']
+            });
+        }
+
+        // Log what changed since the last save
+        const savedFlags = Object.fromEntries(quiz.questions.map(q => [q.id, !!q.flagged]));
+        await answerLog.append({ type: 'quiz', id: quiz.id, userId: quiz.userId }, [
+            ...answerLog.views(viewed, new Set(quiz.questions.map(q => q.id)), quiz.startedAt),
+            ...answerLog.diff({ answers: quiz.answers, flagged: savedFlags }, { answers, flagged })
+        ]);
+
         const updates = {
             answers: { ...quiz.answers, ...answers },
             updatedAt: new Date().toISOString()
@@ -247,13 +435,142 @@ router.put('/:id/answers', async (req, res, next) => {
     }
 });
 
+/**
+ * Answer an adaptive quiz's current question and get the next one. Answers
+ * are final. When done is true the estimate is precise enough (or the quiz
+ * is out of questions) and the quiz should be submitted.
+ * POST /api/quizzes/:id/next
+ * Body: { answer, viewed }
+ */
+router.post('/:id/next', async (req, res, next) => {
+    try {
+        const { answer, viewed } = req.body;
+
+        const quiz = await storage.findOne('quizzes.json',
+            q => q.id === req.params.id && q.userId === req.session.userId
+        );
+
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found',
+                errors: []
+            });
+        }
+
+        if (!quiz.adaptive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Not an adaptive quiz',
+                errors: []
+            });
+        }
+
+        if (quiz.status !== 'in_progress') {
+            return res.status(400).json({
+                success: false,
+                message: quiz.status === 'completed' ? 'Quiz already completed' : 'Quiz not started',
+                errors: []
+            });
+        }
+
+        if (timing.isExpired(quiz.deadline)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Time is up',
+                errors: ['The time limit for this quiz has passed; submit it to see your score']
+            });
+        }
+
+        const current = quiz.questions.find(q => !quiz.answers[q.id]);
+        if (!current) {
+            return res.status(400).json({
+                success: false,
+                message: 'No question is waiting for an answer',
+                errors: ['Submit the quiz to see your score']
+            });
+        }
+
+        if (!Object.keys(current.options || {}).includes(answer)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: [`Answer must be one of ${Object.keys(current.options || {}).join(', ')}`]
+            });
+        }
+
+        const answers = { ...quiz.answers, [current.id]: answer };
+        await answerLog.append({ type: 'quiz', id: quiz.id, userId: quiz.userId }, [
+            ...answerLog.views(viewed, new Set(quiz.questions.map(q => q.id)), quiz.startedAt),
+            ...answerLog.diff({ answers: quiz.answers }, { answers: { [current.id]: answer } })
+        ]);
+
+        const responses = adaptiveResponses(quiz, answers);
+        const estimate = adaptive.estimate(responses);
+        const ability = {
+            ...adaptive.summary(estimate),
+            history: [...(quiz.ability.history || []), { question: current.id, correct: answer === current.correctAnswer, ...estimate }]
+        };
+
+        let done = adaptive.shouldStop(responses.length, estimate.se, quiz.maxQuestions);
+        let question = null;
+
+        if (!done) {
+            const exclude = await questionBank.seenBy(quiz.userId);
+            quiz.questions.forEach(q => q.bankId && exclude.add(q.bankId));
+
+            const drawn = await nextAdaptiveQuestion({
+                userId: quiz.userId,
+                subject: quiz.subject,
+                topic: quiz.topic,
+                model: quiz.model,
+                theta: estimate.theta,
+                exclude,
+                source: { type: 'quiz', quizId: quiz.id }
+            });
+
+            if (drawn) {
+                const { model: _, ...rest } = drawn;
+                question = {
+                    id: uuidv4(),
+                    number: quiz.questions.length + 1,
+                    ...rest,
+                    userAnswer: null,
+                    flagged: false
+                };
+            } else {
+                done = true;
+            }
+        }
+
+        const updatedQuiz = await storage.update('quizzes.json',
+            q => q.id === req.params.id,
+            {
+                answers,
+                ability,
+                questions: question ? [...quiz.questions, question] : quiz.questions,
+                updatedAt: new Date().toISOString()
+            }
+        );
+
+        res.json({
+            success: true,
+            data: { quiz: updatedQuiz, question, done, ability },
+            message: done ? 'Quiz complete; submit it to see your score' : 'Answer saved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Submit quiz
  * POST /api/quizzes/:id/submit
  */
 router.post('/:id/submit', async (req, res, next) => {
     try {
-        const { answers, timeSpent } = req.body;
+        const { answers, viewed } = req.body;
 
         const quiz = await storage.findOne('quizzes.json', 
             q => q.id === req.params.id && q.userId === req.session.userId
@@ -275,15 +592,44 @@ router.post('/:id/submit', async (req, res, next) => {
             });
         }
 
-        // Merge final answers
-        const finalAnswers = { ...quiz.answers, ...answers };
+        if (quiz.status !== 'in_progress') {
+            return res.status(400).json({
+                success: false,
+                message: 'Quiz not started',
+                errors: ['Start the quiz before submitting it']
+            });
+        }
+
+        if (quiz.adaptive && Object.keys(quiz.answers).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No questions answered',
+                errors: ['Answer at least one question before submitting an adaptive quiz']
+            });
+        }
+
+        // Merge final answers. After the time limit only the answers saved
+        // in time count; adaptive quizzes only count answers given through
+        // /next.
+        const timedOut = timing.isExpired(quiz.deadline);
+        const finalAnswers = timedOut || quiz.adaptive ? { ...quiz.answers } : { ...quiz.answers, ...answers };
+
+        if (!timedOut && !quiz.adaptive) {
+            await answerLog.append({ type: 'quiz', id: quiz.id, userId: quiz.userId }, [
+                ...answerLog.views(viewed, new Set(quiz.questions.map(q => q.id)), quiz.startedAt),
+                ...answerLog.diff({ answers: quiz.answers }, { answers })
+            ]);
+        }
 
         // Calculate score
         let correct = 0;
         let incorrect = 0;
         let skipped = 0;
 
-        const gradedQuestions = quiz.questions.map(q => {
+        // An adaptive quiz's unanswered current question isn't part of it
+        const questions = quiz.adaptive ? quiz.questions.filter(q => finalAnswers[q.id]) : quiz.questions;
+
+        const gradedQuestions = questions.map(q => {
             const userAnswer = finalAnswers[q.id];
             let status = 'skipped';
 
@@ -308,8 +654,8 @@ router.post('/:id/submit', async (req, res, next) => {
             correct,
             incorrect,
             skipped,
-            total: quiz.questions.length,
-            percentage: Math.round((correct / quiz.questions.length) * 100)
+            total: questions.length,
+            percentage: questions.length > 0 ? Math.round((correct / questions.length) * 100) : 0
         };
 
         const updates = {
@@ -317,11 +663,19 @@ router.post('/:id/submit', async (req, res, next) => {
             answers: finalAnswers,
             questions: gradedQuestions,
             score,
-            timeSpent: timeSpent || null,
+            timeSpent: timing.elapsed(quiz.startedAt, quiz.deadline),
+            timedOut,
             completedAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
 
+        if (quiz.adaptive) {
+            updates.ability = {
+                ...adaptive.summary(adaptive.estimate(adaptiveResponses(quiz, finalAnswers))),
+                history: quiz.ability.history || []
+            };
+        }
+
         const updatedQuiz = await storage.update('quizzes.json', 
             q => q.id === req.params.id, 
             updates
@@ -332,7 +686,7 @@ router.post('/:id/submit', async (req, res, next) => {
         if (user) {
             const bonusXp = Math.floor(score.percentage / 10) * 5; // 5 XP per 10% score
             user.stats.xp += 25 + bonusXp;
-            user.stats.quizzesTaken = (user.stats.quizzesTaken || 0) + 1;
+            user.stats.quizzesTaken++;
             
             // Check for achievements
             if (score.percentage === 100 && !user.stats.achievements.includes('perfect_score')) {
@@ -358,10 +712,16 @@ router.post('/:id/submit', async (req, res, next) => {
             if (progress.subjects[subjectKey]) {
                 progress.subjects[subjectKey].quizzesTaken++;
                 progress.subjects[subjectKey].correctAnswers += correct;
-                progress.subjects[subjectKey].totalQuestions += quiz.questions.length;
+                progress.subjects[subjectKey].totalQuestions += questions.length;
                 progress.subjects[subjectKey].score = Math.round(
                     (progress.subjects[subjectKey].correctAnswers / progress.subjects[subjectKey].totalQuestions) * 100
                 );
+
+                // The latest adaptive estimate is the subject's ability
+                if (updates.ability) {
+                    const { history: _, ...ability } = updates.ability;
+                    progress.subjects[subjectKey].ability = { ...ability, quizId: quiz.id, updatedAt: new Date().toISOString() };
+                }
             }
 
             progress.activityLog.unshift({
@@ -380,10 +740,15 @@ router.post('/:id/submit', async (req, res, next) => {
             });
         }
 
+        // The last section of a diagnostic sets the student's baseline
+        const completedDiagnostic = quiz.diagnosticId ? await diagnostic.complete(quiz.diagnosticId) : null;
+
         res.json({
             success: true,
-            data: { quiz: updatedQuiz, score },
-            message: 'Quiz submitted successfully',
+            data: { quiz: updatedQuiz, score, diagnostic: completedDiagnostic },
+            message: timedOut
+                ? 'Quiz submitted after the time limit; answers saved before it were scored'
+                : 'Quiz submitted successfully',
             errors: []
         });
     } catch (error) {
@@ -417,12 +782,21 @@ router.get('/:id/results', async (req, res, next) => {
             });
         }
 
+        // Time per question and answer changes from the attempt's log
+        const questionTiming = answerLog.analyze(
+            await answerLog.getEvents(quiz.id),
+            quiz.questions.map(q => ({ key: q.id, number: q.number, correctAnswer: q.correctAnswer })),
+            quiz.startedAt,
+            quiz.completedAt
+        );
+
         res.json({
             success: true,
             data: { 
                 quiz,
                 score: quiz.score,
-                questions: quiz.questions
+                questions: quiz.questions,
+                timing: questionTiming
             },
             message: 'Results retrieved',
             errors: []
@@ -450,17 +824,23 @@ router.post('/:id/retry', async (req, res, next) => {
             });
         }
 
-        // Create a new quiz with the same questions but reset answers
+        // Create a new quiz with the same questions but reset answers. An
+        // adaptive quiz starts over from its first question. A retried
+        // diagnostic section is practice, not part of the diagnostic.
+        const { diagnosticId, ...original } = originalQuiz;
         const newQuiz = {
-            ...originalQuiz,
+            ...original,
             id: uuidv4(),
             status: 'not_started',
             score: null,
             answers: {},
             startedAt: null,
+            deadline: null,
             completedAt: null,
             timeSpent: null,
-            questions: originalQuiz.questions.map(q => ({
+            timedOut: false,
+            ...(originalQuiz.adaptive ? { ability: { ...adaptive.summary(adaptive.estimate([])), history: [] } } : {}),
+            questions: (originalQuiz.adaptive ? originalQuiz.questions.slice(0, 1) : originalQuiz.questions).map(q => ({
                 ...q,
                 userAnswer: null,
                 flagged: false,
@@ -501,6 +881,8 @@ router.delete('/:id', async (req, res, next) => {
             });
         }
 
+        await answerLog.remove(req.params.id);
+
         res.json({
             success: true,
             data: {},
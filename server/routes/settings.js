@@ -4,6 +4,7 @@
 
 const express = require('express');
 const storage = require('../services/storage');
+const jobs = require('../services/jobs');
 
 const router = express.Router();
 
@@ -25,7 +26,7 @@ router.get('/', async (req, res, next) => {
 
         res.json({
             success: true,
-            data: { settings: user.settings || {} },
+            data: { settings: user.settings },
             message: 'Settings retrieved',
             errors: []
         });
@@ -65,7 +66,7 @@ router.put('/', async (req, res, next) => {
             });
         }
 
-        const settings = user.settings || {};
+        const settings = user.settings;
 
         if (theme !== undefined) settings.theme = theme;
         if (notifications !== undefined) settings.notifications = notifications;
@@ -158,45 +159,66 @@ router.delete('/account', async (req, res, next) => {
         // Delete all user data
         const userId = req.session.userId;
 
+        // Stop unfinished jobs first so none saves content after the rest is gone
+        const userJobs = await storage.findMany('jobs.json', { userId });
+        for (const job of userJobs.filter(j => !jobs.FINISHED.includes(j.status))) {
+            await jobs.cancel(job.id, userId);
+        }
+        for (const job of userJobs) {
+            await storage.remove('jobs.json', { id: job.id });
+        }
+
         await storage.remove('users.json', u => u.id === userId);
         await storage.remove('progress.json', p => p.userId === userId);
         
         // Remove all user content
-        const lessons = await storage.findMany('lessons.json', l => l.userId === userId);
+        const lessons = await storage.findMany('lessons.json', { userId });
         for (const lesson of lessons) {
-            await storage.remove('lessons.json', l => l.id === lesson.id);
+            await storage.remove('lessons.json', { id: lesson.id });
         }
 
-        const quizzes = await storage.findMany('quizzes.json', q => q.userId === userId);
+        const quizzes = await storage.findMany('quizzes.json', { userId });
         for (const quiz of quizzes) {
-            await storage.remove('quizzes.json', q => q.id === quiz.id);
+            await storage.remove('quizzes.json', { id: quiz.id });
         }
 
-        const tests = await storage.findMany('tests.json', t => t.userId === userId);
+        const tests = await storage.findMany('tests.json', { userId });
         for (const test of tests) {
-            await storage.remove('tests.json', t => t.id === test.id);
+            await storage.remove('tests.json', { id: test.id });
         }
 
-        const chats = await storage.findMany('chat_history.json', c => c.userId === userId);
+        const chats = await storage.findMany('chat_history.json', { userId });
         for (const chat of chats) {
-            await storage.remove('chat_history.json', c => c.id === chat.id);
+            await storage.remove('chat_history.json', { id: chat.id });
         }
 
-        const plans = await storage.findMany('study_plans.json', p => p.userId === userId);
+        const plans = await storage.findMany('study_plans.json', { userId });
         for (const plan of plans) {
-            await storage.remove('study_plans.json', p => p.id === plan.id);
+            await storage.remove('study_plans.json', { id: plan.id });
         }
 
-        const essays = await storage.findMany('essays.json', e => e.userId === userId);
+        const essays = await storage.findMany('essays.json', { userId });
         for (const essay of essays) {
-            await storage.remove('essays.json', e => e.id === essay.id);
+            await storage.remove('essays.json', { id: essay.id });
         }
 
-        const flashcards = await storage.findMany('flashcards.json', f => f.userId === userId);
+        const flashcards = await storage.findMany('flashcards.json', { userId });
         for (const deck of flashcards) {
-            await storage.remove('flashcards.json', f => f.id === deck.id);
+            await storage.remove('flashcards.json', { id: deck.id });
+        }
+
+        const diagnostics = await storage.findMany('diagnostics.json', { userId });
+        for (const diagnostic of diagnostics) {
+            await storage.remove('diagnostics.json', { id: diagnostic.id });
+        }
+
+        const answerLogs = await storage.findMany('answer_logs.json', { userId });
+        for (const log of answerLogs) {
+            await storage.remove('answer_logs.json', { id: log.id });
         }
 
+        await storage.remove('usage.json', { userId });
+
         // Destroy session
         req.session.destroy();
 
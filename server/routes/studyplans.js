@@ -6,6 +6,7 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const storage = require('../services/storage');
 const aiService = require('../services/ai');
+const jobs = require('../services/jobs');
 
 const router = express.Router();
 
@@ -62,25 +63,85 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
+/**
+ * Generate a study plan in the background (see services/jobs)
+ */
+jobs.register('studyPlan', async (job, context) => {
+    const { signal } = context;
+    const { userId } = job;
+    const {
+        currentScore,
+        targetScore,
+        testDate,
+        hoursPerDay,
+        daysPerWeek,
+        weakSubjects,
+        strongSubjects,
+        focusAreas,
+        learningStyle,
+        timePreference,
+        otherCommitments,
+        model
+    } = job.params;
+
+    await context.progress(0, 1, 'Building study plan');
+
+    // Generate plan using AI (a fallback model may answer)
+    let answeredBy = model || 'deepseek-v3';
+    const generatedPlan = await aiService.generateStudyPlan({
+        currentScore,
+        targetScore,
+        testDate,
+        hoursPerDay: hoursPerDay || 2,
+        daysPerWeek: daysPerWeek || ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+        weakSubjects: weakSubjects || [],
+        strongSubjects: strongSubjects || [],
+        focusAreas: focusAreas || [],
+        learningStyle: learningStyle || 'Visual',
+        timePreference: timePreference || ['Evening'],
+        otherCommitments
+    }, model, { userId, signal, onModel: (key) => { answeredBy = key; } });
+
+    signal.throwIfAborted();
+
+    // Create study plan object
+    const plan = {
+        id: uuidv4(),
+        userId,
+        title: `Study Plan for ${targetScore} Target`,
+        currentScore,
+        targetScore,
+        testDate,
+        hoursPerDay,
+        daysPerWeek,
+        weakSubjects,
+        strongSubjects,
+        focusAreas: focusAreas || [],
+        learningStyle,
+        timePreference,
+        generatedPlan,
+        completedTasks: [],
+        customTasks: [],
+        active: true,
+        model: answeredBy,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    await storage.insert('study_plans.json', plan);
+
+    return { type: 'studyPlan', id: plan.id };
+});
+
 /**
  * Generate a new study plan
  * POST /api/study-plans/generate
+ * The current score, weak and strong subjects default to the student's
+ * placement diagnostic, whose weak reporting categories become focus areas.
  */
 router.post('/generate', async (req, res, next) => {
     try {
-        const {
-            currentScore,
-            targetScore,
-            testDate,
-            hoursPerDay,
-            daysPerWeek,
-            weakSubjects,
-            strongSubjects,
-            learningStyle,
-            timePreference,
-            otherCommitments,
-            model
-        } = req.body;
+        const { targetScore, testDate } = req.body;
 
         // Validation
         if (!targetScore || !testDate) {
@@ -91,49 +152,34 @@ router.post('/generate', async (req, res, next) => {
             });
         }
 
-        // Generate plan using AI
-        const generatedPlan = await aiService.generateStudyPlan({
-            currentScore,
-            targetScore,
-            testDate,
-            hoursPerDay: hoursPerDay || 2,
-            daysPerWeek: daysPerWeek || ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
-            weakSubjects: weakSubjects || [],
-            strongSubjects: strongSubjects || [],
-            learningStyle: learningStyle || 'Visual',
-            timePreference: timePreference || ['Evening'],
-            otherCommitments
-        }, model);
-
-        // Create study plan object
-        const plan = {
-            id: uuidv4(),
-            userId: req.session.userId,
-            title: `Study Plan for ${targetScore} Target`,
-            currentScore,
-            targetScore,
-            testDate,
-            hoursPerDay,
-            daysPerWeek,
-            weakSubjects,
-            strongSubjects,
-            learningStyle,
-            timePreference,
-            generatedPlan,
-            completedTasks: [],
-            customTasks: [],
-            active: true,
-            model: model || 'deepseek-v3',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        const params = {};
+        for (const field of [
+            'currentScore', 'targetScore', 'testDate', 'hoursPerDay', 'daysPerWeek', 'weakSubjects',
+            'strongSubjects', 'learningStyle', 'timePreference', 'otherCommitments', 'model'
+        ]) {
+            params[field] = req.body[field];
+        }
 
-        await storage.insert('study_plans.json', plan);
+        const progress = await storage.findOne('progress.json', p => p.userId === req.session.userId);
+        const baseline = progress && progress.diagnostic;
+        if (baseline) {
+            if (params.currentScore === undefined || params.currentScore === null) {
+                params.currentScore = baseline.studyPlanInputs.currentScore;
+            }
+            for (const field of ['weakSubjects', 'strongSubjects']) {
+                if (!Array.isArray(params[field]) || params[field].length === 0) {
+                    params[field] = baseline.studyPlanInputs[field];
+                }
+            }
+            params.focusAreas = baseline.weaknesses.map(w => `${w.name} (${w.subject})`);
+        }
 
-        res.status(201).json({
+        const job = await jobs.enqueue('studyPlan', req.session.userId, params);
+
+        res.status(202).json({
             success: true,
-            data: { plan },
-            message: 'Study plan generated successfully',
+            data: { job },
+            message: 'Study plan generation started',
             errors: []
         });
     } catch (error) {
@@ -6,6 +6,14 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const storage = require('../services/storage');
 const aiService = require('../services/ai');
+const jobs = require('../services/jobs');
+const testBlueprint = require('../services/testBlueprint');
+const scoreTables = require('../services/scoreTables');
+const norms = require('../services/norms');
+const reportingCategories = require('../services/reportingCategories');
+const timing = require('../services/timing');
+const answerLog = require('../services/answerLog');
+const questionBank = require('../services/questionBank');
 
 const router = express.Router();
 
@@ -17,6 +25,195 @@ const SECTION_CONFIG = {
     science: { name: 'Science', questions: 40, time: 35, description: 'Data analysis and scientific reasoning' }
 };
 
+// Standard tests can be paused any number of times; strict ones are limited
+const TEST_MODES = ['standard', 'strict'];
+const STRICT_MAX_PAUSES = parseInt(process.env.TEST_STRICT_MAX_PAUSES || '1', 10);
+
+/**
+ * Start a section's clock, with the test's extended-time multiplier
+ */
+function startSection(test, section, now = Date.now()) {
+    const clock = timing.start(SECTION_CONFIG[section].time, test.timeMultiplier || 1, now);
+    Object.assign(test.sections[section], { status: 'in_progress', ...clock });
+}
+
+/**
+ * Score a section with its saved answers, mark it completed and start the
+ * next section
+ */
+async function completeSection(test, section, now = Date.now()) {
+    const sectionData = test.sections[section];
+    const answers = sectionData.answers || {};
+
+    let correct = 0;
+    let total = 0;
+
+    if (sectionData.passages) {
+        sectionData.passages.forEach(passage => {
+            passage.questions.forEach(q => {
+                total++;
+                if (answers[q.id] === q.correctAnswer) {
+                    correct++;
+                }
+            });
+        });
+    }
+
+    // Convert to ACT scale (1-36) with the test's score table
+    const form = await scoreTables.formOrDefault(test.scoreForm);
+    const { rawEquivalent, scaledScore } = scoreTables.convert(form, section, correct, total);
+
+    sectionData.status = 'completed';
+    sectionData.completedAt = new Date(now).toISOString();
+    sectionData.timeSpent = timing.elapsed(sectionData.startedAt, sectionData.deadline, now, sectionData.pausedSeconds);
+    sectionData.score = {
+        correct,
+        total,
+        rawPercentage: total > 0 ? Math.round(correct / total * 100) : 0,
+        rawEquivalent,
+        scaledScore,
+        scoreForm: form.key
+    };
+
+    // Move to next section
+    const currentIndex = test.sectionOrder.indexOf(section);
+    if (currentIndex < test.sectionOrder.length - 1) {
+        const nextSection = test.sectionOrder[currentIndex + 1];
+        test.currentSection = nextSection;
+        test.currentQuestion = 1;
+        startSection(test, nextSection, now);
+    }
+
+    test.updatedAt = new Date(now).toISOString();
+}
+
+/**
+ * Auto-complete the current section once its time and grace period have
+ * run out. The next section's clock starts now rather than at the missed
+ * deadline, so a student who stepped away doesn't lose the rest of the test.
+ * @returns {Promise<string|null>} - The section that was completed
+ */
+async function expireSection(test, now = Date.now()) {
+    const section = test.currentSection;
+    const sectionData = test.sections[section];
+
+    if (test.status !== 'in_progress' || !sectionData || sectionData.status !== 'in_progress' ||
+        !timing.isExpired(sectionData.deadline, now)) {
+        return null;
+    }
+
+    await completeSection(test, section, now);
+    sectionData.timedOut = true;
+    return section;
+}
+
+/**
+ * Why a section can't take answers or be completed, or null if it's the
+ * section whose clock is running. Sections open only when the previous one
+ * completes, so later sections have no clock yet and earlier ones are scored.
+ */
+function closedSection(test, section) {
+    const sectionData = test.sections[section];
+    if (sectionData.status === 'completed') {
+        return 'Section already completed';
+    }
+    if (test.status !== 'in_progress' || section !== test.currentSection || sectionData.status !== 'in_progress') {
+        return 'Section not in progress';
+    }
+    return null;
+}
+
+/**
+ * Describe the running (or paused) section's clock, if any
+ */
+function currentTimer(test) {
+    const sectionData = test.sections[test.currentSection];
+    return sectionData && sectionData.status === 'in_progress' && (sectionData.deadline || sectionData.pausedAt)
+        ? timing.describe(sectionData)
+        : null;
+}
+
+/**
+ * Number of pauses a test allows, or null for no limit
+ */
+function pauseLimit(test) {
+    return test.mode === 'strict' ? STRICT_MAX_PAUSES : null;
+}
+
+/**
+ * Everything a test-taker needs to pick up where the student left off
+ */
+function sessionState(test) {
+    const sectionData = test.sections[test.currentSection] || {};
+    const used = (test.pauses || []).length;
+    const allowed = pauseLimit(test);
+
+    return {
+        testId: test.id,
+        status: test.status,
+        mode: test.mode || 'standard',
+        currentSection: test.currentSection,
+        currentQuestion: test.currentQuestion || 1,
+        answers: sectionData.answers || {},
+        flagged: sectionData.flagged || {},
+        timer: currentTimer(test),
+        pauses: {
+            used,
+            allowed,
+            remaining: allowed === null ? null : Math.max(0, allowed - used)
+        },
+        sections: test.sectionOrder.map(section => ({
+            section,
+            status: test.sections[section].status,
+            answered: Object.keys(test.sections[section].answers || {}).length
+        }))
+    };
+}
+
+/**
+ * Ids of a section's questions
+ */
+function questionIds(sectionData) {
+    return new Set((sectionData.passages || []).flatMap(p => p.questions.map(q => q.id)));
+}
+
+/**
+ * Question ids in a save's answers or flags that aren't in the section
+ */
+function unknownQuestions(sectionData, { answers, flagged }) {
+    const ids = questionIds(sectionData);
+    const keys = [...Object.keys(answers || {}), ...Object.keys(flagged || {})];
+    return [...new Set(keys.filter(key => !ids.has(key)))];
+}
+
+/**
+ * Save answers, flags and the current question for a section, logging what
+ * changed and the questions viewed since the last save. Answers and flags
+ * are keyed by question id.
+ */
+async function savePosition(test, section, { answers, flagged, currentQuestion, viewed }) {
+    const sectionData = test.sections[section];
+
+    const questions = questionIds(sectionData);
+    await answerLog.append({ type: 'test', id: test.id, userId: test.userId }, [
+        ...answerLog.views(viewed, questions, sectionData.startedAt, { section }),
+        ...answerLog.diff({ answers: sectionData.answers, flagged: sectionData.flagged }, { answers, flagged }, { section })
+    ]);
+
+    if (answers) {
+        sectionData.answers = { ...sectionData.answers, ...answers };
+    }
+    if (flagged) {
+        sectionData.flagged = { ...sectionData.flagged, ...flagged };
+        for (const [question, isFlagged] of Object.entries(sectionData.flagged)) {
+            if (!isFlagged) delete sectionData.flagged[question];
+        }
+    }
+    if (section === test.currentSection && Number.isInteger(currentQuestion) && currentQuestion > 0) {
+        test.currentQuestion = currentQuestion;
+    }
+}
+
 /**
  * Get all tests for current user
  * GET /api/tests
@@ -25,14 +222,13 @@ router.get('/', async (req, res, next) => {
     try {
         const { status, page = 1, limit = 12 } = req.query;
         
-        let predicate = (test) => test.userId === req.session.userId;
+        const where = { userId: req.session.userId };
 
         if (status) {
-            const oldPredicate = predicate;
-            predicate = (test) => oldPredicate(test) && test.status === status;
+            where.status = status;
         }
 
-        const result = await storage.paginate('tests.json', predicate, parseInt(page), parseInt(limit), 
+        const result = await storage.paginate('tests.json', where, parseInt(page), parseInt(limit), 
             { field: 'createdAt', order: 'desc' }
         );
 
@@ -60,6 +256,28 @@ router.get('/sections', (req, res) => {
     });
 });
 
+/**
+ * Get the score table forms a test can be scored with
+ * GET /api/tests/score-forms
+ */
+router.get('/score-forms', async (req, res, next) => {
+    try {
+        const forms = await scoreTables.listForms();
+
+        res.json({
+            success: true,
+            data: {
+                forms: forms.map(({ key, name, description, builtIn }) => ({ key, name, description, builtIn })),
+                defaultForm: scoreTables.DEFAULT_FORM
+            },
+            message: 'Score forms retrieved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Get single test
  * GET /api/tests/:id
@@ -78,9 +296,13 @@ router.get('/:id', async (req, res, next) => {
             });
         }
 
+        if (await expireSection(test)) {
+            await storage.update('tests.json', t => t.id === test.id, test);
+        }
+
         res.json({
             success: true,
-            data: { test },
+            data: { test, timer: currentTimer(test) },
             message: 'Test retrieved',
             errors: []
         });
@@ -89,13 +311,197 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
+/**
+ * Generate a practice test in the background (see services/jobs). Sections
+ * are generated to full length one passage at a time; every passage is
+ * checkpointed, so a resumed job picks up at the passage it hadn't reached.
+ * Passages and math questions the student hasn't seen are taken from the
+ * question bank first; new ones go into it.
+ */
+jobs.register('test', async (job, context) => {
+    const { signal } = context;
+    const { userId } = job;
+    const { sections: sectionsToGenerate, fullTest, scoreForm, mode, fromBank, model } = job.params;
+
+    const totalChunks = sectionsToGenerate.reduce((sum, s) => sum + testBlueprint.chunksFor(s).length, 0);
+    let chunksDone = 0;
+
+    // Generate each section
+    const generatedSections = { ...(job.state.sections || {}) };
+    const partialChunks = { ...(job.state.chunks || {}) };
+
+    // Bank questions the student has seen, or that are already in this
+    // test, aren't drawn again; neither is a passage already in this test
+    const seen = fromBank === false ? new Set() : await questionBank.seenBy(userId);
+    const usedPassages = new Set(job.state.passages || []);
+    for (const sectionData of Object.values(generatedSections)) {
+        sectionData.passages.forEach(p => p.questions.forEach(q => q.bankId && seen.add(q.bankId)));
+    }
+    for (const chunks of Object.values(partialChunks)) {
+        chunks.forEach(chunk => chunk.questions.forEach(q => q.bankId && seen.add(q.bankId)));
+    }
+
+    const drawChunk = async (section, spec) => {
+        if (section === 'math') {
+            // Any that are missing are generated as a top-up
+            const questions = await questionBank.drawQuestions({
+                subject: section,
+                difficulty: spec.difficulty,
+                count: spec.questions,
+                exclude: seen
+            });
+            if (questions.length === 0) {
+                return null;
+            }
+            questions.forEach(q => seen.add(q.bankId));
+            const models = new Set(questions.map(q => q.model));
+            return {
+                title: '',
+                text: '',
+                questions: questions.map(({ model: _, ...question }) => question),
+                model: models.size === 1 ? [...models][0] : null
+            };
+        }
+
+        const passage = await questionBank.drawPassage({
+            subject: section,
+            type: spec.type,
+            paired: spec.paired,
+            count: spec.questions,
+            firstNumber: spec.firstNumber,
+            exclude: seen,
+            excludePassages: usedPassages
+        });
+        if (passage) {
+            usedPassages.add(passage.key);
+            passage.questions.forEach(q => seen.add(q.bankId));
+        }
+        return passage;
+    };
+    for (const section of sectionsToGenerate) {
+        const config = SECTION_CONFIG[section];
+
+        if (generatedSections[section]) {
+            chunksDone += testBlueprint.chunksFor(section).length;
+            continue;
+        }
+
+        // Fallbacks may answer some passages; the section records the
+        // model unless they differ
+        const models = new Set((partialChunks[section] || []).map(chunk => chunk.model).filter(Boolean));
+        let answeredBy = model || 'deepseek-v3';
+
+        const sectionData = await aiService.generateTestSection(section, model, {
+            userId,
+            signal,
+            chunks: partialChunks[section] || [],
+            onModel: (key) => { answeredBy = key; },
+            drawChunk: fromBank === false ? undefined : (spec) => drawChunk(section, spec),
+            onChunkStart: (chunk) => {
+                const label = section === 'math'
+                    ? `questions ${chunk.firstNumber}-${chunk.firstNumber + chunk.questions - 1}`
+                    : `passage ${chunk.index + 1} of ${chunk.of}`;
+                return context.progress(chunksDone + chunk.index, totalChunks, `${config.name} ${label}`);
+            },
+            onChunk: async (chunks, spec) => {
+                const chunk = chunks[chunks.length - 1];
+                if (!chunk.fromBank) {
+                    chunk.model = answeredBy;
+                }
+                if (chunk.model) {
+                    models.add(chunk.model);
+                }
+
+                // New questions (including top-ups of a drawn chunk) go into the bank
+                const fresh = chunk.questions.filter(q => !q.bankId);
+                if (fresh.length > 0) {
+                    const banked = await questionBank.add(fresh, {
+                        subject: section,
+                        topic: spec.topic || spec.type,
+                        difficulty: spec.difficulty,
+                        model: answeredBy,
+                        source: { type: 'test', jobId: job.id },
+                        passage: section === 'math'
+                            ? null
+                            : { type: spec.type, title: chunk.title, text: chunk.text, paired: !!spec.paired, firstNumber: spec.firstNumber }
+                    });
+                    if (banked.passageKey) {
+                        usedPassages.add(banked.passageKey);
+                    }
+                    let next = 0;
+                    chunk.questions = chunk.questions.map(q => q.bankId ? q : banked.questions[next++]);
+                    banked.questions.forEach(q => seen.add(q.bankId));
+                }
+
+                partialChunks[section] = chunks;
+                return context.checkpoint({ chunks: partialChunks, passages: [...usedPassages] });
+            }
+        });
+
+        chunksDone += testBlueprint.chunksFor(section).length;
+        generatedSections[section] = {
+            ...config,
+            ...sectionData,
+            model: models.size === 1 ? [...models][0] : (model || 'deepseek-v3'),
+            status: 'not_started',
+            answers: {},
+            flagged: {},
+            startedAt: null,
+            deadline: null,
+            completedAt: null,
+            timeSpent: null,
+            score: null
+        };
+
+        delete partialChunks[section];
+        await context.checkpoint({ sections: generatedSections, chunks: partialChunks, passages: [...usedPassages] });
+    }
+
+    signal.throwIfAborted();
+
+    // Sections record the model that answered; the test does too unless
+    // fallbacks made them differ
+    const answeredBy = [...new Set(Object.values(generatedSections).map(s => s.model))];
+
+    // Calculate total time
+    const totalTime = sectionsToGenerate.reduce((sum, s) => sum + SECTION_CONFIG[s].time, 0);
+
+    // Create test object
+    const test = {
+        id: uuidv4(),
+        userId,
+        title: fullTest ? 'Full ACT Practice Test' : `ACT ${sectionsToGenerate.map(s => SECTION_CONFIG[s].name).join(' + ')}`,
+        type: fullTest ? 'full' : 'section',
+        sections: generatedSections,
+        sectionOrder: sectionsToGenerate,
+        currentSection: sectionsToGenerate[0],
+        totalTime,
+        scoreForm: scoreForm || scoreTables.DEFAULT_FORM,
+        mode: mode || 'standard',
+        status: 'not_started', // not_started, in_progress, paused, completed
+        currentQuestion: 1,
+        pauses: [],
+        scores: null,
+        compositeScore: null,
+        startedAt: null,
+        completedAt: null,
+        model: answeredBy.length === 1 ? answeredBy[0] : (model || 'deepseek-v3'),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    await storage.insert('tests.json', test);
+
+    return { type: 'test', id: test.id };
+});
+
 /**
  * Generate a new practice test
  * POST /api/tests/generate
  */
 router.post('/generate', async (req, res, next) => {
     try {
-        const { sections, fullTest, model } = req.body;
+        const { sections, fullTest, scoreForm, mode, fromBank, model } = req.body;
 
         // Determine which sections to generate
         let sectionsToGenerate = [];
@@ -113,54 +519,35 @@ router.post('/generate', async (req, res, next) => {
             });
         }
 
-        // Generate each section
-        const generatedSections = {};
-        for (const section of sectionsToGenerate) {
-            const config = SECTION_CONFIG[section];
-            // For demo, generate fewer questions to save time/tokens
-            const questionCount = Math.min(config.questions, 10); 
-            const sectionData = await aiService.generateTestSection(section, questionCount, model);
-            generatedSections[section] = {
-                ...config,
-                ...sectionData,
-                status: 'not_started',
-                answers: {},
-                startedAt: null,
-                completedAt: null,
-                timeSpent: null,
-                score: null
-            };
+        if (scoreForm && !(await scoreTables.getForm(scoreForm))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: ['Unknown score form']
+            });
         }
 
-        // Calculate total time
-        const totalTime = sectionsToGenerate.reduce((sum, s) => sum + SECTION_CONFIG[s].time, 0);
-
-        // Create test object
-        const test = {
-            id: uuidv4(),
-            userId: req.session.userId,
-            title: fullTest ? 'Full ACT Practice Test' : `ACT ${sectionsToGenerate.map(s => SECTION_CONFIG[s].name).join(' + ')}`,
-            type: fullTest ? 'full' : 'section',
-            sections: generatedSections,
-            sectionOrder: sectionsToGenerate,
-            currentSection: sectionsToGenerate[0],
-            totalTime,
-            status: 'not_started', // not_started, in_progress, completed
-            scores: null,
-            compositeScore: null,
-            startedAt: null,
-            completedAt: null,
-            model: model || 'deepseek-v3',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        if (mode && !TEST_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: [`Mode must be one of ${TEST_MODES.join(', ')}`]
+            });
+        }
 
-        await storage.insert('tests.json', test);
+        const job = await jobs.enqueue('test', req.session.userId, {
+            sections: sectionsToGenerate,
+            fullTest: !!fullTest,
+            scoreForm: scoreForm || scoreTables.DEFAULT_FORM,
+            mode: mode || 'standard',
+            fromBank: fromBank !== false,
+            model
+        });
 
-        res.status(201).json({
+        res.status(202).json({
             success: true,
-            data: { test },
-            message: 'Practice test generated successfully',
+            data: { job },
+            message: 'Practice test generation started',
             errors: []
         });
     } catch (error) {
@@ -194,28 +581,194 @@ router.post('/:id/start', async (req, res, next) => {
             });
         }
 
-        const firstSection = test.sectionOrder[0];
-        const updates = {
-            status: 'in_progress',
-            startedAt: test.startedAt || new Date().toISOString(),
-            [`sections.${firstSection}.status`]: 'in_progress',
-            [`sections.${firstSection}.startedAt`]: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        if (test.status === 'not_started') {
+            // Accommodations are fixed for the whole test when it starts
+            const user = await storage.findOne('users.json', u => u.id === req.session.userId);
+            test.status = 'in_progress';
+            test.startedAt = new Date().toISOString();
+            test.timeMultiplier = timing.multiplier(user);
+            startSection(test, test.sectionOrder[0]);
+            test.updatedAt = new Date().toISOString();
+        } else {
+            // Resuming keeps the running section's clock
+            await expireSection(test);
+        }
+
+        await storage.update('tests.json', t => t.id === req.params.id, test);
+
+        res.json({
+            success: true,
+            data: { test, timer: currentTimer(test), session: sessionState(test) },
+            message: 'Test started',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get where a test left off: section, question, answers, flags, time left
+ * and pauses used. Used to restore the test-taker after a reload or crash.
+ * GET /api/tests/:id/session
+ */
+router.get('/:id/session', async (req, res, next) => {
+    try {
+        const test = await storage.findOne('tests.json', 
+            t => t.id === req.params.id && t.userId === req.session.userId
+        );
 
-        // Apply updates manually for nested properties
+        if (!test) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test not found',
+                errors: []
+            });
+        }
+
+        if (await expireSection(test)) {
+            await storage.update('tests.json', t => t.id === test.id, test);
+        }
+
+        res.json({
+            success: true,
+            data: { session: sessionState(test) },
+            message: 'Test session retrieved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Pause a test, stopping the running section's clock
+ * POST /api/tests/:id/pause
+ * Body (optional): { answers, flagged, currentQuestion } for the running section
+ */
+router.post('/:id/pause', async (req, res, next) => {
+    try {
+        const test = await storage.findOne('tests.json', 
+            t => t.id === req.params.id && t.userId === req.session.userId
+        );
+
+        if (!test) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test not found',
+                errors: []
+            });
+        }
+
+        if (test.status !== 'in_progress') {
+            return res.status(400).json({
+                success: false,
+                message: test.status === 'paused' ? 'Test already paused' : 'Test is not in progress',
+                errors: []
+            });
+        }
+
+        // A section that ran out of time can't be paused; the next one can
+        const expired = await expireSection(test);
+        const section = test.currentSection;
+        const sectionData = test.sections[section];
+        const allowed = pauseLimit(test);
+
+        let error = null;
+        if (sectionData.status !== 'in_progress') {
+            error = { status: 400, message: 'No section is running', errors: ['Submit the test to see your score'] };
+        } else if (!expired && unknownQuestions(sectionData, req.body).length > 0) {
+            error = {
+                status: 400,
+                message: 'Unknown question ids',
+                errors: unknownQuestions(sectionData, req.body).map(key => `No question with id "${key}" in this section`)
+            };
+        } else if (allowed !== null && (test.pauses || []).length >= allowed) {
+            error = {
+                status: 403,
+                message: 'Pause limit reached',
+                errors: [`Strict mode allows ${allowed} pause(s) per test`]
+            };
+        }
+
+        if (error) {
+            if (expired) {
+                await storage.update('tests.json', t => t.id === test.id, test);
+            }
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                errors: error.errors
+            });
+        }
+
+        // The position sent with the pause belongs to the section that was
+        // running, which is gone if it just expired
+        if (!expired) {
+            await savePosition(test, section, req.body);
+        }
+
+        Object.assign(sectionData, timing.pause(sectionData));
+        test.status = 'paused';
+        test.pauses = [...(test.pauses || []), {
+            section,
+            pausedAt: sectionData.pausedAt,
+            resumedAt: null,
+            timeRemaining: sectionData.pausedRemaining
+        }];
+        test.updatedAt = new Date().toISOString();
+
+        await storage.update('tests.json', t => t.id === test.id, test);
+
+        res.json({
+            success: true,
+            data: { test, session: sessionState(test) },
+            message: 'Test paused',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Resume a paused test with the time its section had left
+ * POST /api/tests/:id/resume
+ */
+router.post('/:id/resume', async (req, res, next) => {
+    try {
+        const test = await storage.findOne('tests.json', 
+            t => t.id === req.params.id && t.userId === req.session.userId
+        );
+
+        if (!test) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test not found',
+                errors: []
+            });
+        }
+
+        if (test.status !== 'paused') {
+            return res.status(400).json({
+                success: false,
+                message: 'Test is not paused',
+                errors: []
+            });
+        }
+
+        const sectionData = test.sections[test.currentSection];
+        Object.assign(sectionData, timing.resume(sectionData));
         test.status = 'in_progress';
-        test.startedAt = test.startedAt || new Date().toISOString();
-        test.sections[firstSection].status = 'in_progress';
-        test.sections[firstSection].startedAt = new Date().toISOString();
+        test.pauses[test.pauses.length - 1].resumedAt = new Date().toISOString();
         test.updatedAt = new Date().toISOString();
 
-        await storage.update('tests.json', t => t.id === req.params.id, test);
+        await storage.update('tests.json', t => t.id === test.id, test);
 
         res.json({
             success: true,
-            data: { test },
-            message: 'Test started',
+            data: { test, session: sessionState(test) },
+            message: 'Test resumed',
             errors: []
         });
     } catch (error) {
@@ -229,7 +782,6 @@ router.post('/:id/start', async (req, res, next) => {
  */
 router.put('/:id/section/:section/answers', async (req, res, next) => {
     try {
-        const { answers } = req.body;
         const { id, section } = req.params;
 
         const test = await storage.findOne('tests.json', 
@@ -252,14 +804,52 @@ router.put('/:id/section/:section/answers', async (req, res, next) => {
             });
         }
 
-        test.sections[section].answers = { ...test.sections[section].answers, ...answers };
+        const unknown = unknownQuestions(test.sections[section], req.body);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown question ids',
+                errors: unknown.map(key => `No question with id "${key}" in this section`)
+            });
+        }
+
+        if (test.status === 'paused') {
+            return res.status(409).json({
+                success: false,
+                message: 'Test is paused',
+                errors: ['Resume the test to keep answering']
+            });
+        }
+
+        if (await expireSection(test)) {
+            await storage.update('tests.json', t => t.id === id, test);
+        }
+
+        if (test.sections[section].timedOut || timing.isExpired(test.sections[section].deadline)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Time is up',
+                errors: [`The time limit for the ${SECTION_CONFIG[section].name} section has passed`]
+            });
+        }
+
+        const closed = closedSection(test, section);
+        if (closed) {
+            return res.status(409).json({
+                success: false,
+                message: closed,
+                errors: [`Answers can only be saved for the current section (${test.currentSection})`]
+            });
+        }
+
+        await savePosition(test, section, req.body);
         test.updatedAt = new Date().toISOString();
 
         await storage.update('tests.json', t => t.id === id, test);
 
         res.json({
             success: true,
-            data: { section: test.sections[section] },
+            data: { section: test.sections[section], currentQuestion: test.currentQuestion },
             message: 'Answers saved',
             errors: []
         });
@@ -274,7 +864,6 @@ router.put('/:id/section/:section/answers', async (req, res, next) => {
  */
 router.post('/:id/section/:section/complete', async (req, res, next) => {
     try {
-        const { answers, timeSpent } = req.body;
         const { id, section } = req.params;
 
         const test = await storage.findOne('tests.json', 
@@ -297,48 +886,54 @@ router.post('/:id/section/:section/complete', async (req, res, next) => {
             });
         }
 
-        // Save final answers for section
-        const finalAnswers = { ...test.sections[section].answers, ...answers };
-        test.sections[section].answers = finalAnswers;
-        test.sections[section].status = 'completed';
-        test.sections[section].completedAt = new Date().toISOString();
-        test.sections[section].timeSpent = timeSpent;
-
-        // Calculate section score
-        let correct = 0;
-        let total = 0;
-        
-        if (test.sections[section].passages) {
-            test.sections[section].passages.forEach(passage => {
-                passage.questions.forEach(q => {
-                    total++;
-                    if (finalAnswers[q.question] === q.correctAnswer) {
-                        correct++;
-                    }
-                });
+        const unknown = unknownQuestions(test.sections[section], req.body);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown question ids',
+                errors: unknown.map(key => `No question with id "${key}" in this section`)
             });
         }
 
-        // Convert to ACT scale (1-36)
-        const rawScore = total > 0 ? correct / total : 0;
-        const scaledScore = Math.round(rawScore * 35) + 1; // 1-36 scale
-        test.sections[section].score = {
-            correct,
-            total,
-            rawPercentage: Math.round(rawScore * 100),
-            scaledScore
-        };
+        if (test.status === 'paused') {
+            return res.status(409).json({
+                success: false,
+                message: 'Test is paused',
+                errors: ['Resume the test before completing a section']
+            });
+        }
 
-        // Move to next section
-        const currentIndex = test.sectionOrder.indexOf(section);
-        if (currentIndex < test.sectionOrder.length - 1) {
-            const nextSection = test.sectionOrder[currentIndex + 1];
-            test.currentSection = nextSection;
-            test.sections[nextSection].status = 'in_progress';
-            test.sections[nextSection].startedAt = new Date().toISOString();
+        // Past the deadline the section is scored with the answers saved in time
+        if (await expireSection(test) === section) {
+            await storage.update('tests.json', t => t.id === id, test);
+
+            return res.json({
+                success: true,
+                data: {
+                    test,
+                    sectionScore: test.sections[section].score,
+                    nextSection: test.currentSection !== section ? test.currentSection : null,
+                    timer: currentTimer(test),
+                    timedOut: true
+                },
+                message: 'Section time expired; answers saved before the deadline were scored',
+                errors: []
+            });
         }
 
-        test.updatedAt = new Date().toISOString();
+        const closed = closedSection(test, section);
+        if (closed) {
+            return res.status(409).json({
+                success: false,
+                message: closed,
+                errors: [`Only the current section (${test.currentSection}) can be completed`]
+            });
+        }
+
+        // Save final answers for section
+        await savePosition(test, section, req.body);
+        await completeSection(test, section);
+
         await storage.update('tests.json', t => t.id === id, test);
 
         res.json({
@@ -346,7 +941,8 @@ router.post('/:id/section/:section/complete', async (req, res, next) => {
             data: { 
                 test,
                 sectionScore: test.sections[section].score,
-                nextSection: test.currentSection !== section ? test.currentSection : null
+                nextSection: test.currentSection !== section ? test.currentSection : null,
+                timer: currentTimer(test)
             },
             message: 'Section completed',
             errors: []
@@ -374,33 +970,32 @@ router.post('/:id/submit', async (req, res, next) => {
             });
         }
 
+        // A section whose time ran out is scored before the test is
+        await expireSection(test);
+
         // Calculate composite score
         const sectionScores = {};
-        let totalScaled = 0;
-        let scoredSections = 0;
 
         for (const section of test.sectionOrder) {
             if (test.sections[section].score) {
                 sectionScores[section] = test.sections[section].score.scaledScore;
-                totalScaled += test.sections[section].score.scaledScore;
-                scoredSections++;
             } else {
                 // Section not completed, score as 1
                 sectionScores[section] = 1;
-                totalScaled += 1;
-                scoredSections++;
             }
         }
 
-        const compositeScore = Math.round(totalScaled / scoredSections);
+        const compositeScore = scoreTables.composite(Object.values(sectionScores));
 
-        // Calculate percentile (approximate)
-        const percentile = Math.min(99, Math.max(1, Math.round((compositeScore - 1) * 3)));
+        // National percentiles, benchmarks and STEM/ELA sub-scores
+        const report = norms.report(sectionScores, compositeScore);
+        const percentile = report.percentiles.composite;
 
         test.status = 'completed';
         test.scores = sectionScores;
         test.compositeScore = compositeScore;
         test.percentile = percentile;
+        test.report = report;
         test.completedAt = new Date().toISOString();
         test.updatedAt = new Date().toISOString();
 
@@ -410,7 +1005,7 @@ router.post('/:id/submit', async (req, res, next) => {
         const user = await storage.findOne('users.json', u => u.id === req.session.userId);
         if (user) {
             user.stats.xp += 200;
-            user.stats.testsTaken = (user.stats.testsTaken || 0) + 1;
+            user.stats.testsTaken++;
             
             // Check for level up
             const xpForNextLevel = user.stats.level * 100;
@@ -451,7 +1046,8 @@ router.post('/:id/submit', async (req, res, next) => {
                 test,
                 compositeScore,
                 sectionScores,
-                percentile
+                percentile,
+                report
             },
             message: 'Test submitted successfully',
             errors: []
@@ -487,13 +1083,44 @@ router.get('/:id/results', async (req, res, next) => {
             });
         }
 
+        const form = await scoreTables.formOrDefault(test.scoreForm);
+
+        // Tests completed before norms reporting get one on the fly
+        const report = test.report || norms.report(test.scores, test.compositeScore);
+
+        // Per-section breakdown by reporting category, and time per
+        // question and answer changes from the test's log
+        const events = await answerLog.getEvents(test.id);
+        const categories = {};
+        const questionTiming = {};
+        for (const section of test.sectionOrder) {
+            const { passages = [], answers = {}, startedAt, completedAt } = test.sections[section];
+            const questions = passages.flatMap(passage => passage.questions);
+            const results = questions.map(q => ({
+                category: q.category,
+                skill: q.skill,
+                correct: answers[q.id] === q.correctAnswer
+            }));
+            categories[section] = reportingCategories.breakdown(section, results);
+            questionTiming[section] = answerLog.analyze(
+                events.filter(event => event.section === section),
+                questions.map(q => ({ key: q.id, number: q.number, correctAnswer: q.correctAnswer })),
+                startedAt,
+                completedAt
+            );
+        }
+
         res.json({
             success: true,
             data: { 
                 test,
                 compositeScore: test.compositeScore,
                 sectionScores: test.scores,
-                percentile: test.percentile
+                percentile: report.percentiles.composite,
+                report,
+                categories,
+                timing: questionTiming,
+                scoreForm: { key: form.key, name: form.name }
             },
             message: 'Results retrieved',
             errors: []
@@ -521,6 +1148,8 @@ router.delete('/:id', async (req, res, next) => {
             });
         }
 
+        await answerLog.remove(req.params.id);
+
         res.json({
             success: true,
             data: {},
@@ -0,0 +1,128 @@
+/**
+ * AI Usage Routes
+ */
+
+const express = require('express');
+const storage = require('../services/storage');
+const usageService = require('../services/usage');
+const { adminMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Get current user's AI usage and remaining budget
+ * GET /api/usage?from=&to=
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+
+        const summary = await usageService.summarize({ userId: req.session.userId, from, to });
+        const budget = await usageService.budgetStatus(req.session.userId);
+
+        res.json({
+            success: true,
+            data: {
+                from: summary.from,
+                to: summary.to,
+                total: summary.total,
+                byFeature: summary.byFeature,
+                byModel: summary.byModel,
+                budget,
+                recent: summary.records
+                    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                    .slice(0, 20)
+            },
+            message: 'Usage retrieved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get usage totals across all users (admin)
+ * GET /api/usage/totals?from=&to=
+ */
+router.get('/totals', adminMiddleware, async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+        const summary = await usageService.summarize({ from, to });
+
+        // Heaviest users first
+        const users = {};
+        for (const entry of summary.records) {
+            users[entry.userId] = (users[entry.userId] || 0) + entry.totalTokens;
+        }
+        const topUsers = Object.entries(users)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 20)
+            .map(([userId, totalTokens]) => ({ userId, totalTokens }));
+
+        res.json({
+            success: true,
+            data: {
+                from: summary.from,
+                to: summary.to,
+                total: summary.total,
+                byFeature: summary.byFeature,
+                byModel: summary.byModel,
+                topUsers
+            },
+            message: 'Usage totals retrieved',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Set a user's token budgets (admin). null resets a budget to the default.
+ * PUT /api/usage/budgets/:userId
+ */
+router.put('/budgets/:userId', adminMiddleware, async (req, res, next) => {
+    try {
+        const { daily, monthly } = req.body;
+
+        for (const value of [daily, monthly]) {
+            if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation error',
+                    errors: ['Budgets must be non-negative whole numbers of tokens, or null']
+                });
+            }
+        }
+
+        const user = await storage.findOne('users.json', { id: req.params.userId });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+                errors: []
+            });
+        }
+
+        const aiBudget = { ...(user.aiBudget || {}) };
+        if (daily !== undefined) aiBudget.daily = daily;
+        if (monthly !== undefined) aiBudget.monthly = monthly;
+
+        await storage.update('users.json', { id: user.id }, { aiBudget });
+
+        res.json({
+            success: true,
+            data: {
+                budgets: usageService.budgetsFor({ aiBudget }),
+                budget: await usageService.budgetStatus(user.id)
+            },
+            message: 'Budget updated',
+            errors: []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
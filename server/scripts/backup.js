@@ -0,0 +1,65 @@
+/**
+ * Backup CLI
+ *
+ * Usage:
+ *   node server/scripts/backup.js create
+ *   node server/scripts/backup.js list
+ *   node server/scripts/backup.js restore <snapshot> [--collection users.json ...]
+ */
+
+require('dotenv').config();
+
+const storage = require('../services/storage');
+const backupService = require('../services/backup');
+
+const USAGE = 'Usage: node server/scripts/backup.js create | list | restore <snapshot> [--collection <name> ...]';
+
+async function run(argv) {
+    const [command, ...rest] = argv;
+
+    if (command === 'create') {
+        const snapshot = await backupService.createSnapshot('manual');
+        console.log(`Created ${snapshot.name} (${snapshot.size} bytes)`);
+        for (const [collection, count] of Object.entries(snapshot.counts)) {
+            console.log(`  ${collection}: ${count} rows`);
+        }
+    } else if (command === 'list') {
+        const snapshots = backupService.listSnapshots();
+        if (snapshots.length === 0) {
+            console.log(`No snapshots in ${backupService.BACKUP_DIR}`);
+        }
+        for (const snapshot of snapshots) {
+            console.log(`${snapshot.name}  ${snapshot.size} bytes`);
+        }
+    } else if (command === 'restore') {
+        const name = rest[0];
+        const collections = [];
+        for (let i = 1; i < rest.length; i++) {
+            if (rest[i] === '--collection' && rest[i + 1]) {
+                collections.push(rest[++i]);
+            } else {
+                throw new Error(`Unknown argument: ${rest[i]}`);
+            }
+        }
+        if (!name) {
+            throw new Error('A snapshot name is required');
+        }
+
+        const result = await backupService.restoreSnapshot(name, collections);
+        console.log(`Saved current data as ${result.safetySnapshot}`);
+        for (const [collection, count] of Object.entries(result.restored)) {
+            console.log(`  ${collection}: restored ${count} rows`);
+        }
+    } else {
+        throw new Error(command ? `Unknown command: ${command}` : 'A command is required');
+    }
+}
+
+run(process.argv.slice(2))
+    .then(() => storage.close())
+    .catch(async (error) => {
+        console.error(error.message);
+        console.error(USAGE);
+        await storage.close();
+        process.exit(1);
+    });
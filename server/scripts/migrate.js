@@ -0,0 +1,118 @@
+/**
+ * Storage Migration
+ * Copies every collection from one storage driver to another.
+ *
+ * Usage:
+ *   node server/scripts/migrate.js --from json --to sqlite [--dry-run]
+ *
+ * Each target collection is replaced with the source contents, so the
+ * migration can be re-run safely. Collections missing from the source are
+ * left untouched in the target.
+ */
+
+require('dotenv').config();
+
+const storage = require('../services/storage');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const args = { from: null, to: null, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--from') {
+            args.from = argv[++i];
+        } else if (arg === '--to') {
+            args.to = argv[++i];
+        } else if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!args.from || !args.to) {
+        throw new Error('Both --from and --to are required');
+    }
+    if (args.from === args.to) {
+        throw new Error('Source and target drivers must be different');
+    }
+
+    return args;
+}
+
+/**
+ * Copy all collections and verify row counts
+ * @returns {Promise<boolean>} - True when every collection matches
+ */
+async function migrate({ from, to, dryRun }) {
+    // Same driver options as services/storage, so SQLITE_FILE is honoured
+    const options = { filename: process.env.SQLITE_FILE || undefined };
+    const source = storage.createDriver(from, options);
+    const target = storage.createDriver(to, options);
+    let ok = true;
+
+    console.log(`Migrating ${from} -> ${to}${dryRun ? ' (dry run)' : ''}`);
+
+    try {
+        for (const collection of storage.COLLECTIONS) {
+            const items = await source.read(collection, null);
+
+            if (!Array.isArray(items)) {
+                console.log(`  ${collection}: skipped (not found in ${from})`);
+                continue;
+            }
+
+            const existing = await target.read(collection, []);
+
+            if (dryRun) {
+                console.log(`  ${collection}: ${items.length} rows would replace ${existing.length} rows`);
+                continue;
+            }
+
+            await target.write(collection, items);
+
+            const copied = await target.read(collection, []);
+            if (copied.length !== items.length) {
+                console.error(`  ${collection}: row count mismatch (source ${items.length}, target ${copied.length})`);
+                ok = false;
+            } else {
+                console.log(`  ${collection}: ${copied.length} rows copied`);
+            }
+        }
+    } finally {
+        await source.close();
+        await target.close();
+    }
+
+    return ok;
+}
+
+if (require.main === module) {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node server/scripts/migrate.js --from <driver> --to <driver> [--dry-run]');
+        process.exit(1);
+    }
+
+    migrate(args)
+        .then(async (ok) => {
+            await storage.close();
+            if (!ok) {
+                console.error('Migration finished with errors');
+                process.exit(1);
+            }
+            console.log('Migration complete');
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrate };
@@ -24,9 +24,19 @@ const essaysRoutes = require('./routes/essays');
 const flashcardsRoutes = require('./routes/flashcards');
 const progressRoutes = require('./routes/progress');
 const settingsRoutes = require('./routes/settings');
+const adminRoutes = require('./routes/admin');
+const usageRoutes = require('./routes/usage');
+const jobsRoutes = require('./routes/jobs');
+const diagnosticRoutes = require('./routes/diagnostic');
+
+// Import services
+const storage = require('./services/storage');
+const backupService = require('./services/backup');
+const jobsService = require('./services/jobs');
+const itemStatsService = require('./services/itemStats');
 
 // Import middleware
-const { authMiddleware } = require('./middleware/auth');
+const { authMiddleware, adminMiddleware } = require('./middleware/auth');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -106,6 +116,10 @@ app.use('/api/essays', authMiddleware, essaysRoutes);
 app.use('/api/flashcards', authMiddleware, flashcardsRoutes);
 app.use('/api/progress', authMiddleware, progressRoutes);
 app.use('/api/settings', authMiddleware, settingsRoutes);
+app.use('/api/admin', authMiddleware, adminMiddleware, adminRoutes);
+app.use('/api/usage', authMiddleware, usageRoutes);
+app.use('/api/jobs', authMiddleware, jobsRoutes);
+app.use('/api/diagnostic', authMiddleware, diagnosticRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -209,6 +223,10 @@ app.use(errorHandler);
 const server = app.listen(PORT, () => {
     console.log(`ACT AI Tutor server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`Storage driver: ${storage.driver}`);
+    backupService.startSchedule();
+    itemStatsService.startSchedule();
+    jobsService.start().catch(error => console.error('Failed to start job worker:', error));
     if (process.send) {
         process.send('ready');
     }
@@ -221,7 +239,10 @@ server.headersTimeout = 66000;
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully...');
-    server.close(() => {
+    itemStatsService.stopSchedule();
+    jobsService.stop();
+    server.close(async () => {
+        await storage.close();
         console.log('Server closed');
         process.exit(0);
     });
@@ -229,7 +250,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     console.log('SIGINT received, shutting down gracefully...');
-    server.close(() => {
+    itemStatsService.stopSchedule();
+    jobsService.stop();
+    server.close(async () => {
+        await storage.close();
         console.log('Server closed');
         process.exit(0);
     });
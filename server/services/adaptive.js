@@ -0,0 +1,157 @@
+/**
+ * Adaptive Testing Service
+ * Ability estimation and item selection for adaptive quizzes.
+ *
+ * Items follow a one-parameter IRT model with a guessing floor: a student
+ * of ability theta answers an item of difficulty b correctly with
+ * probability g + (1 - g) / (1 + e^-(theta - b)), where g is one over the
+ * number of options. Difficulties come from item statistics once an item
+ * is calibrated (see services/itemStats), otherwise from its difficulty
+ * label.
+ *
+ * Ability is the posterior mean over a grid with a standard normal prior
+ * (EAP), and its standard error the posterior standard deviation. A quiz
+ * stops once the standard error is ADAPTIVE_TARGET_SE or less (after at
+ * least ADAPTIVE_MIN_QUESTIONS answers) or it reaches its question limit.
+ *
+ * Abilities are reported on the ACT's 1-36 scale with a linear mapping
+ * (mean 21, 5 points per logit), which is an approximation, not an
+ * equated score.
+ */
+
+const TARGET_SE = parseFloat(process.env.ADAPTIVE_TARGET_SE || '0.5');
+const MIN_QUESTIONS = parseInt(process.env.ADAPTIVE_MIN_QUESTIONS || '5', 10);
+
+// Difficulty (in logits) of each label, in the quiz and test vocabularies
+const LABEL_DIFFICULTY = {
+    'beginner': -1,
+    'intermediate': 0,
+    'advanced': 1,
+    'mixed': 0,
+    'easy': -1.5,
+    'easy to medium': -0.75,
+    'medium': 0,
+    'medium to hard': 0.75,
+    'hard': 1.5
+};
+
+const GRID = Array.from({ length: 81 }, (_, i) => -4 + i * 0.1);
+const PRIOR = GRID.map(theta => Math.exp(-theta * theta / 2));
+
+// Among items about as close to the target as the best, pick one of this
+// many at random so the same students don't always see the same items
+const EXPOSURE_POOL = 3;
+const MAX_GAP = 1;
+
+const SCALE_MEAN = 21;
+const SCALE_PER_LOGIT = 5;
+
+function guessing(options) {
+    const count = Object.keys(options || {}).length;
+    return count > 1 ? 1 / count : 0.25;
+}
+
+function probability(theta, difficulty, guess) {
+    return guess + (1 - guess) / (1 + Math.exp(-(theta - difficulty)));
+}
+
+/**
+ * Difficulty of a question bank item in logits
+ */
+function itemDifficulty(item) {
+    const { stats } = item;
+    if (stats && stats.calibrated) {
+        // The p-value is the chance an average student (theta 0) gets it right
+        const guess = guessing(item.options);
+        const aboveGuessing = Math.min(Math.max((stats.pValue - guess) / (1 - guess), 0.05), 0.95);
+        return Math.round(Math.log((1 - aboveGuessing) / aboveGuessing) * 100) / 100;
+    }
+
+    const label = String(item.difficulty || '').toLowerCase();
+    return LABEL_DIFFICULTY[label] !== undefined ? LABEL_DIFFICULTY[label] : 0;
+}
+
+/**
+ * Estimate ability from answered items
+ * @param {Array<Object>} responses - [{ difficulty, options, correct }]
+ * @returns {Object} - { theta, se }
+ */
+function estimate(responses) {
+    const posterior = GRID.map((theta, i) => responses.reduce((likelihood, response) => {
+        const p = probability(theta, response.difficulty, guessing(response.options));
+        return likelihood * (response.correct ? p : 1 - p);
+    }, PRIOR[i]));
+
+    const total = posterior.reduce((sum, weight) => sum + weight, 0);
+    const theta = GRID.reduce((sum, t, i) => sum + t * posterior[i], 0) / total;
+    const variance = GRID.reduce((sum, t, i) => sum + (t - theta) ** 2 * posterior[i], 0) / total;
+
+    return {
+        theta: Math.round(theta * 100) / 100,
+        se: Math.round(Math.sqrt(variance) * 100) / 100
+    };
+}
+
+/**
+ * Whether a quiz has measured enough
+ */
+function shouldStop(answered, se, maxQuestions) {
+    return answered >= maxQuestions || (answered >= MIN_QUESTIONS && se <= TARGET_SE);
+}
+
+/**
+ * Pick the next item: one of the closest to the student's ability, or null
+ * if none is within a logit of it
+ * @param {Array<Object>} items - Question bank items
+ */
+function pick(items, theta) {
+    const ranked = items
+        .map(item => ({ item, gap: Math.abs(itemDifficulty(item) - theta) }))
+        .filter(candidate => candidate.gap <= MAX_GAP)
+        .sort((a, b) => a.gap - b.gap || (a.item.timesUsed || 0) - (b.item.timesUsed || 0))
+        .slice(0, EXPOSURE_POOL);
+
+    if (ranked.length === 0) {
+        return null;
+    }
+    return ranked[Math.floor(Math.random() * ranked.length)].item;
+}
+
+/**
+ * Quiz difficulty label closest to an ability, for generating an item on demand
+ */
+function labelFor(theta) {
+    if (theta < -0.5) return 'Beginner';
+    if (theta > 0.5) return 'Advanced';
+    return 'Intermediate';
+}
+
+function toScale(theta) {
+    return Math.min(36, Math.max(1, Math.round(SCALE_MEAN + SCALE_PER_LOGIT * theta)));
+}
+
+/**
+ * An estimate with its 1-36 scale score and the range one standard error
+ * either side
+ */
+function summary({ theta, se }) {
+    return {
+        theta,
+        se,
+        scaleScore: toScale(theta),
+        scaleRange: [toScale(theta - se), toScale(theta + se)],
+        precise: se <= TARGET_SE
+    };
+}
+
+module.exports = {
+    TARGET_SE,
+    MIN_QUESTIONS,
+    itemDifficulty,
+    estimate,
+    shouldStop,
+    pick,
+    labelFor,
+    toScale,
+    summary
+};
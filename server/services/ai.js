@@ -1,125 +1,427 @@
 /**
- * AI Service - Nano-GPT API Integration
+ * AI Service - Model registry and content generation
+ *
+ * Models are served by providers. Every provider speaks the OpenAI chat
+ * completions format; Nano-GPT is the hosted default and a self-hosted
+ * server (llama.cpp, vLLM, ...) can be added with LOCAL_AI_URL.
+ * AI_PROVIDER=mock answers every model offline from providers/mock.js.
  */
 
-const https = require('https');
+const openaiProvider = require('./providers/openai');
+const mockProvider = require('./providers/mock');
+const aiOutput = require('./aiOutput');
+const usageService = require('./usage');
+const testBlueprint = require('./testBlueprint');
+const reportingCategories = require('./reportingCategories');
+
+// Route every model to the mock provider
+const USE_MOCK = process.env.AI_PROVIDER === 'mock';
+
+const DEFAULT_MODEL = process.env.AI_DEFAULT_MODEL || 'deepseek-v3';
+
+// Retries of the same model on 429, 5xx and dropped connections
+const RETRY_ATTEMPTS = parseInt(process.env.AI_RETRY_ATTEMPTS || '2', 10);
+const RETRY_BASE_MS = parseInt(process.env.AI_RETRY_BASE_MS || '1000', 10);
+const RETRY_MAX_MS = parseInt(process.env.AI_RETRY_MAX_MS || '30000', 10);
+const REQUEST_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS || '300000', 10);
+
+// Models tried in order when the requested one fails. Override for every
+// feature with AI_FALLBACK, or per feature with e.g. AI_FALLBACK_STUDY_PLAN
+// (comma-separated model keys, empty to disable).
+const DEFAULT_FALLBACKS = ['deepseek-v3', 'glm-4-5-air', 'mistral-small'];
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+// Times a model is asked to fix output that doesn't match its schema
+const REPAIR_ATTEMPTS = parseInt(process.env.AI_REPAIR_ATTEMPTS || '1', 10);
+
+/**
+ * Provider configuration. A provider is available once its "requires"
+ * setting is present.
+ * auth.scheme: 'bearer' (Authorization header), 'header' (key in auth.header) or 'none'
+ */
+const PROVIDERS = {
+    nano: {
+        name: 'Nano-GPT',
+        requires: 'NANO_API_KEY',
+        baseUrl: (process.env.NANO_API_URL || 'https://nano-gpt.com/api/v1').replace(/\/chat\/completions\/?$/, ''),
+        auth: { scheme: 'bearer', key: process.env.NANO_API_KEY }
+    },
+    local: {
+        name: 'Local',
+        requires: 'LOCAL_AI_URL',
+        baseUrl: process.env.LOCAL_AI_URL,
+        auth: process.env.LOCAL_AI_API_KEY
+            ? { scheme: process.env.LOCAL_AI_AUTH || 'bearer', key: process.env.LOCAL_AI_API_KEY, header: process.env.LOCAL_AI_AUTH_HEADER }
+            : { scheme: 'none' }
+    }
+};
+
+// Capabilities: 'chat', 'stream' (token streaming), 'thinking' (reasons before answering)
+const NANO_CAPABILITIES = ['chat', 'stream'];
+const THINKING_CAPABILITIES = [...NANO_CAPABILITIES, 'thinking'];
 
 // Available AI models
 const AI_MODELS = {
-    'deepseek-v3': { id: 'deepseek/deepseek-v3.2:thinking', name: 'DeepSeek V3.2 (Recommended)' },
-    'glm-4-7': { id: 'zai-org/glm-4.7:thinking', name: 'GLM 4.7 Thinking' },
-    'llama-3-1-405b': { id: 'Meta-Llama-3-1-405B-Instruct-FP8', name: 'Llama 3.1 Large' },
-    'llama-4-maverick': { id: 'llama-4-maverick', name: 'Llama 4 Maverick' },
-    'llama-3-3-70b': { id: 'llama-3.3-70b', name: 'Llama 3.3 (70B)' },
-    'minimax-m2': { id: 'minimax/minimax-m2.1', name: 'MiniMax M2.1' },
-    'mistral-large': { id: 'mistralai/mistral-large-3-675b-instruct-2512', name: 'Mistral Large 3' },
-    'mistral-small': { id: 'mistral-small-31', name: 'Mistral Small 3.1 (24B)' },
-    'glm-4-5-air': { id: 'glm-4.5-air', name: 'GLM 4.5 Air' },
-    'gpt-oss-120b': { id: 'gpt-oss-120b', name: 'GPT OSS 120B' },
-    'gpt-oss-20b': { id: 'gpt-oss-20b', name: 'GPT OSS 20B' },
-    'mimo-v2': { id: 'mimo-v2-flash-thinking', name: 'Xiaomi MIMO V2 Flash Thinking' },
-    'kimi-k2': { id: 'moonshotai/kimi-k2-thinking', name: 'Kimi K2 Thinking' }
+    'deepseek-v3': { provider: 'nano', id: 'deepseek/deepseek-v3.2:thinking', name: 'DeepSeek V3.2 (Recommended)', capabilities: THINKING_CAPABILITIES },
+    'glm-4-7': { provider: 'nano', id: 'zai-org/glm-4.7:thinking', name: 'GLM 4.7 Thinking', capabilities: THINKING_CAPABILITIES },
+    'llama-3-1-405b': { provider: 'nano', id: 'Meta-Llama-3-1-405B-Instruct-FP8', name: 'Llama 3.1 Large', capabilities: NANO_CAPABILITIES },
+    'llama-4-maverick': { provider: 'nano', id: 'llama-4-maverick', name: 'Llama 4 Maverick', capabilities: NANO_CAPABILITIES },
+    'llama-3-3-70b': { provider: 'nano', id: 'llama-3.3-70b', name: 'Llama 3.3 (70B)', capabilities: NANO_CAPABILITIES },
+    'minimax-m2': { provider: 'nano', id: 'minimax/minimax-m2.1', name: 'MiniMax M2.1', capabilities: NANO_CAPABILITIES },
+    'mistral-large': { provider: 'nano', id: 'mistralai/mistral-large-3-675b-instruct-2512', name: 'Mistral Large 3', capabilities: NANO_CAPABILITIES },
+    'mistral-small': { provider: 'nano', id: 'mistral-small-31', name: 'Mistral Small 3.1 (24B)', capabilities: NANO_CAPABILITIES },
+    'glm-4-5-air': { provider: 'nano', id: 'glm-4.5-air', name: 'GLM 4.5 Air', capabilities: NANO_CAPABILITIES },
+    'gpt-oss-120b': { provider: 'nano', id: 'gpt-oss-120b', name: 'GPT OSS 120B', capabilities: NANO_CAPABILITIES },
+    'gpt-oss-20b': { provider: 'nano', id: 'gpt-oss-20b', name: 'GPT OSS 20B', capabilities: NANO_CAPABILITIES },
+    'mimo-v2': { provider: 'nano', id: 'mimo-v2-flash-thinking', name: 'Xiaomi MIMO V2 Flash Thinking', capabilities: THINKING_CAPABILITIES },
+    'kimi-k2': { provider: 'nano', id: 'moonshotai/kimi-k2-thinking', name: 'Kimi K2 Thinking', capabilities: THINKING_CAPABILITIES }
 };
 
 /**
- * Get list of available AI models
+ * Register the models served by the local provider.
+ * LOCAL_AI_MODELS is a comma-separated list of "model-id" or
+ * "model-id=Display Name"; each becomes the model key "local/<model-id>".
+ */
+function registerLocalModels() {
+    const capabilities = (process.env.LOCAL_AI_CAPABILITIES || 'chat,stream')
+        .split(',')
+        .map(c => c.trim())
+        .filter(Boolean);
+
+    for (const entry of (process.env.LOCAL_AI_MODELS || '').split(',')) {
+        const [id, name] = entry.split('=').map(part => part.trim());
+        if (id) {
+            AI_MODELS[`local/${id}`] = { provider: 'local', id, name: name || id, capabilities };
+        }
+    }
+}
+
+registerLocalModels();
+
+// Provider clients, created on first use
+const clients = new Map();
+
+function isConfigured(providerKey) {
+    if (USE_MOCK) {
+        return true;
+    }
+
+    const provider = PROVIDERS[providerKey];
+    return !!(provider && process.env[provider.requires]);
+}
+
+function getClient(providerKey) {
+    const key = USE_MOCK ? 'mock' : providerKey;
+
+    if (!clients.has(key)) {
+        if (key === 'mock') {
+            clients.set(key, mockProvider.createProvider({
+                seed: parseInt(process.env.AI_MOCK_SEED || '1', 10),
+                latency: parseInt(process.env.AI_MOCK_LATENCY_MS || '0', 10),
+                failure: process.env.AI_MOCK_FAILURE || null,
+                failureRate: parseFloat(process.env.AI_MOCK_FAILURE_RATE || '1')
+            }));
+        } else {
+            const provider = PROVIDERS[key];
+            clients.set(key, openaiProvider.createProvider({
+                name: key,
+                baseUrl: provider.baseUrl,
+                auth: provider.auth,
+                timeout: REQUEST_TIMEOUT_MS
+            }));
+        }
+    }
+    return clients.get(key);
+}
+
+/**
+ * Look up a model with its provider's connection details
+ * @returns {Object|null} - { key, id, name, provider, baseUrl, authScheme, capabilities }
+ */
+function getModel(modelKey) {
+    const model = AI_MODELS[modelKey];
+    if (!model) {
+        return null;
+    }
+
+    const provider = PROVIDERS[model.provider];
+    return {
+        key: modelKey,
+        id: model.id,
+        name: model.name,
+        provider: model.provider,
+        baseUrl: provider.baseUrl,
+        authScheme: provider.auth.scheme,
+        capabilities: model.capabilities
+    };
+}
+
+/**
+ * Get list of available AI models across all configured providers
  */
 function getModels() {
-    return Object.entries(AI_MODELS).map(([key, value]) => ({
-        key,
-        id: value.id,
-        name: value.name
-    }));
+    return Object.entries(AI_MODELS)
+        .filter(([, value]) => isConfigured(value.provider))
+        .map(([key, value]) => ({
+            key,
+            id: value.id,
+            name: value.name,
+            provider: value.provider,
+            capabilities: value.capabilities
+        }));
 }
 
 /**
- * Make a request to the Nano-GPT API
- * @param {string} modelKey - The model key to use
- * @param {Array} messages - Array of message objects with role and content
- * @param {Object} options - Additional options
- * @returns {Promise<string>} - The AI response content
+ * Send one request to a model's provider
  */
-async function chat(modelKey, messages, options = {}) {
+async function request(modelKey, messages, options) {
     const model = AI_MODELS[modelKey];
     if (!model) {
         throw new Error(`Invalid model key: ${modelKey}`);
     }
 
-    const apiKey = process.env.NANO_API_KEY;
-    const apiUrl = process.env.NANO_API_URL || 'https://nano-gpt.com/api/v1/chat/completions';
+    if (!isConfigured(model.provider)) {
+        throw new Error(`${PROVIDERS[model.provider].requires} environment variable is not set`);
+    }
+
+    const client = getClient(model.provider);
 
-    if (!apiKey) {
-        throw new Error('NANO_API_KEY environment variable is not set');
+    // Models that can't stream answer in one piece
+    if (options.stream && !model.capabilities.includes('stream')) {
+        const content = await client.chat(model.id, messages, { ...options, stream: false });
+        if (options.onToken && content) {
+            options.onToken(content);
+        }
+        return content;
     }
 
-    const requestBody = JSON.stringify({
-        model: model.id,
-        messages: messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.max_tokens || 4096
-    });
+    return await client.chat(model.id, messages, options);
+}
 
+function isRetryable(error) {
+    return error.statusCode === 429 ||
+        error.statusCode >= 500 ||
+        RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Exponential backoff with jitter, or the server's Retry-After if it sent one
+ */
+function retryDelay(attempt, error) {
+    if (error.retryAfter !== undefined) {
+        return Math.min(error.retryAfter * 1000, RETRY_MAX_MS);
+    }
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempt), RETRY_MAX_MS);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+function wait(ms, signal) {
     return new Promise((resolve, reject) => {
-        const url = new URL(apiUrl);
-        
-        const requestOptions = {
-            hostname: url.hostname,
-            port: url.port || 443,
-            path: url.pathname,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Length': Buffer.byteLength(requestBody)
-            },
-            timeout: 300000 // 5 minutes
+        if (signal && signal.aborted) {
+            reject(openaiProvider.abortError(''));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(openaiProvider.abortError(''));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Get the models to try for a feature, starting with the requested one
+ */
+function fallbackChain(feature, modelKey) {
+    const envName = feature && `AI_FALLBACK_${feature.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+    const configured = envName && process.env[envName] !== undefined ? process.env[envName]
+        : process.env.AI_FALLBACK !== undefined ? process.env.AI_FALLBACK
+        : null;
+    const fallbacks = configured !== null
+        ? configured.split(',').map(key => key.trim()).filter(Boolean)
+        : DEFAULT_FALLBACKS;
+
+    const chain = [modelKey];
+    for (const key of fallbacks) {
+        if (!chain.includes(key) && AI_MODELS[key] && isConfigured(AI_MODELS[key].provider)) {
+            chain.push(key);
+        }
+    }
+    return chain;
+}
+
+/**
+ * Record the tokens a call used against the user. Providers that don't
+ * report usage get an estimate.
+ */
+async function meter(modelKey, messages, content, usage, options) {
+    if (!options.userId) {
+        return;
+    }
+
+    const estimated = !usage;
+    if (estimated) {
+        const promptTokens = usageService.estimateTokens(messages.map(m => m.content).join('\n'));
+        const completionTokens = usageService.estimateTokens(content);
+        usage = {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+
+    try {
+        await usageService.record({ userId: options.userId, feature: options.feature, model: modelKey, usage, estimated });
+    } catch (error) {
+        console.error('Failed to record AI usage:', error);
+    }
+}
+
+/**
+ * Make a chat completion request. 429, 5xx and dropped connections are
+ * retried with backoff; if the model still fails (or times out) the next
+ * model in the feature's fallback chain is tried.
+ * @param {string} modelKey - The model key to use
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Additional options
+ * @param {string} options.feature - Generator making the request (picks the fallback chain)
+ * @param {string} options.userId - User the call is metered and budgeted against
+ * @param {Function} options.onModel - Called with the key of the model that answered
+ * @param {boolean} options.stream - Stream the completion, calling onToken for each chunk
+ * @param {Function} options.onToken - Receives each content chunk while streaming
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<string>} - The AI response content
+ */
+async function chat(modelKey, messages, options = {}) {
+    if (options.userId) {
+        await usageService.checkBudget(options.userId);
+    }
+
+    const chain = fallbackChain(options.feature, modelKey);
+
+    // Once tokens have reached the caller, a retry would repeat them
+    let streamed = false;
+    const requestOptions = { ...options };
+    if (options.onToken) {
+        requestOptions.onToken = (token) => {
+            streamed = true;
+            options.onToken(token);
         };
+    }
 
-        const req = https.request(requestOptions, (res) => {
-            let data = '';
-
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-
-            res.on('end', () => {
-                try {
-                    const response = JSON.parse(data);
-                    
-                    if (res.statusCode !== 200) {
-                        reject(new Error(response.error?.message || `API error: ${res.statusCode}`));
-                        return;
-                    }
-
-                    if (response.choices && response.choices[0] && response.choices[0].message) {
-                        resolve(response.choices[0].message.content);
-                    } else {
-                        reject(new Error('Invalid API response format'));
-                    }
-                } catch (e) {
-                    reject(new Error(`Failed to parse API response: ${e.message}`));
+    let lastError = null;
+    for (const key of chain) {
+        for (let attempt = 0; attempt <= RETRY_ATTEMPTS; attempt++) {
+            let usage = null;
+            try {
+                const content = await request(key, messages, {
+                    ...requestOptions,
+                    onUsage: (reported) => { usage = reported; }
+                });
+                await meter(key, messages, content, usage, options);
+                if (options.onModel) {
+                    options.onModel(key);
                 }
-            });
-        });
+                return content;
+            } catch (error) {
+                // Cancelled and interrupted streams still used their tokens
+                if (error.partialContent) {
+                    await meter(key, messages, error.partialContent, usage, options);
+                }
+                if (error.name === 'AbortError' || streamed) {
+                    throw error;
+                }
+                lastError = error;
 
-        req.on('error', (e) => {
-            reject(new Error(`API request failed: ${e.message}`));
-        });
+                if (!isRetryable(error) || attempt === RETRY_ATTEMPTS) {
+                    break;
+                }
 
-        req.on('timeout', () => {
-            req.destroy();
-            reject(new Error('API request timed out'));
-        });
+                const delay = retryDelay(attempt, error);
+                console.warn(`AI request to ${key} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+                await wait(delay, options.signal);
+            }
+        }
 
-        req.write(requestBody);
-        req.end();
-    });
+        if (key !== chain[chain.length - 1]) {
+            console.warn(`AI request to ${key} failed (${lastError.message}), falling back`);
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Request structured output and validate it against the generator's schema
+ * (see aiOutput.js). Invalid items are dropped one by one; if the response
+ * as a whole is unusable, the model that answered is shown its output and
+ * the errors and asked to fix it.
+ * @param {string} kind - Key of aiOutput.SCHEMAS
+ * @param {string} failureMessage - Error message if no usable output comes back
+ */
+async function generateJson(kind, failureMessage, modelKey, messages, options) {
+    let answeredBy = modelKey;
+    const chatOptions = {
+        ...options,
+        onModel: (key) => {
+            answeredBy = key;
+            if (options.onModel) {
+                options.onModel(key);
+            }
+        }
+    };
+
+    let response = await chat(modelKey, messages, chatOptions);
+    let result = aiOutput.parse(kind, response);
+
+    for (let attempt = 0; !result.ok && attempt < REPAIR_ATTEMPTS; attempt++) {
+        console.warn(`Repairing ${kind} output from ${answeredBy}: ${result.errors.slice(0, 3).join('; ')}`);
+
+        const repairMessages = [
+            ...messages,
+            { role: 'assistant', content: response },
+            {
+                role: 'user',
+                content: `Your response could not be used:
+${result.errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+It must be valid JSON matching this JSON schema:
+${JSON.stringify(aiOutput.SCHEMAS[kind])}
+
+Reply with only the corrected JSON.`
+            }
+        ];
+
+        response = await chat(answeredBy, repairMessages, chatOptions);
+        result = aiOutput.parse(kind, response);
+    }
+
+    if (!result.ok) {
+        throw new Error(failureMessage);
+    }
+
+    if (result.dropped.length > 0) {
+        console.warn(`Dropped ${result.dropped.length} invalid item(s) from ${kind} output: ${result.dropped.slice(0, 3).join('; ')}`);
+    }
+
+    return result.value;
 }
 
 /**
  * Generate a lesson using AI
  */
-async function generateLesson(subject, topic, difficulty, length, focusAreas, modelKey) {
+async function generateLesson(subject, topic, difficulty, length, focusAreas, modelKey, options = {}) {
     const prompt = `You are an expert ACT tutor. Generate a comprehensive lesson on the following:
 
 Subject: ${subject}
@@ -144,13 +446,13 @@ Format the lesson in Markdown with proper headings (##, ###), bullet points, and
         { role: 'user', content: prompt }
     ];
 
-    return await chat(modelKey || 'deepseek-v3', messages, { max_tokens: 8192 });
+    return await chat(modelKey || DEFAULT_MODEL, messages, { ...options, feature: 'lesson', max_tokens: 8192 });
 }
 
 /**
  * Generate quiz questions using AI
  */
-async function generateQuiz(subject, topic, numQuestions, difficulty, modelKey) {
+async function generateQuiz(subject, topic, numQuestions, difficulty, modelKey, options = {}) {
     const prompt = `Generate ${numQuestions} multiple-choice questions for ACT ${subject} on the topic: ${topic}
 Difficulty level: ${difficulty}
 
@@ -159,6 +461,8 @@ For each question, provide:
 2. Four answer options labeled A, B, C, D
 3. The correct answer (A, B, C, or D)
 4. A detailed explanation of why the correct answer is right
+5. The ACT reporting category and skill it tests, from this list:
+${reportingCategories.describe(subject)}
 
 Format your response as a JSON array with this structure:
 [
@@ -171,7 +475,9 @@ Format your response as a JSON array with this structure:
       "D": "Fourth option"
     },
     "correctAnswer": "A",
-    "explanation": "Explanation here"
+    "explanation": "Explanation here",
+    "category": "Reporting category name",
+    "skill": "Skill name"
   }
 ]
 
@@ -182,57 +488,100 @@ Only output the JSON array, no other text.`;
         { role: 'user', content: prompt }
     ];
 
-    const response = await chat(modelKey || 'deepseek-v3', messages, { max_tokens: 8192 });
-    
-    // Parse the JSON response
-    try {
-        // Extract JSON from response (in case there's extra text)
-        const jsonMatch = response.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-        }
-        return JSON.parse(response);
-    } catch (e) {
-        throw new Error('Failed to parse quiz questions from AI response');
-    }
+    const questions = await generateJson('quiz', 'Failed to parse quiz questions from AI response', modelKey || DEFAULT_MODEL, messages, {
+        ...options,
+        feature: 'quiz',
+        max_tokens: 8192
+    });
+
+    return questions.map(question => reportingCategories.tag(subject, question));
 }
 
+const SECTION_INFO = {
+    english: {
+        name: 'English',
+        topics: 'grammar, punctuation, sentence structure, rhetorical skills',
+        format: `Write an essay of about 300-350 words. Mark each tested portion with its question number, e.g. "[12]underlined words[/12]". Each question's text starts with its number and quotes the underlined portion or asks about the passage as a whole; option A may be "NO CHANGE".`
+    },
+    math: {
+        name: 'Mathematics',
+        topics: 'pre-algebra, algebra, functions, geometry, trigonometry, statistics and probability',
+        format: 'Write standalone questions with no passage (use an empty "text"). Use LaTeX ($...$) for math.'
+    },
+    reading: {
+        name: 'Reading',
+        topics: 'main ideas, details, inferences, vocabulary in context, author\'s purpose, comparing texts',
+        format: 'Write a passage of about 700-800 words in the style of the passage type.'
+    },
+    science: {
+        name: 'Science',
+        topics: 'data representation, research summaries, conflicting viewpoints',
+        format: 'Write a passage in the style of the passage type. Present data as Markdown tables; describe any figures in words.'
+    }
+};
+
+const TEST_CREATOR_PROMPT = 'You are an expert ACT test creator. Generate realistic test content that matches the official ACT format.';
+
+// Extra requests for a chunk that came back short or with duplicates
+const TOP_UP_ATTEMPTS = 2;
+
 /**
- * Generate practice test section using AI
+ * Generate one chunk of a practice test section: a passage and its
+ * questions, or a block of standalone math questions
+ * @param {Object} chunk - From testBlueprint.chunksFor(), plus optionally
+ *   text (write more questions for this passage), count (questions to
+ *   write, default chunk.questions) and avoid (question texts not to repeat)
  */
-async function generateTestSection(section, numQuestions, modelKey) {
-    const sectionInfo = {
-        english: { name: 'English', topics: 'grammar, punctuation, sentence structure, rhetorical skills' },
-        math: { name: 'Mathematics', topics: 'algebra, geometry, trigonometry, statistics, pre-calculus' },
-        reading: { name: 'Reading', topics: 'prose fiction, social science, humanities, natural science passages' },
-        science: { name: 'Science', topics: 'data representation, research summaries, conflicting viewpoints' }
-    };
-
-    const info = sectionInfo[section.toLowerCase()];
+async function generateTestPassage(section, chunk, modelKey, options = {}) {
+    const info = SECTION_INFO[section];
     if (!info) {
         throw new Error(`Invalid section: ${section}`);
     }
 
-    const prompt = `Generate a realistic ACT ${info.name} section with ${numQuestions} questions.
-Topics to cover: ${info.topics}
+    const count = chunk.count || chunk.questions;
+    const lastNumber = chunk.firstNumber + count - 1;
+
+    let passageRequest;
+    if (chunk.text) {
+        passageRequest = `Write more questions about this existing passage (return it unchanged as "text"):
+
+${chunk.text}`;
+    } else if (section === 'math') {
+        passageRequest = `${info.format}
+Difficulty: ${chunk.difficulty} (ACT Mathematics questions get harder through the section).`;
+    } else if (chunk.paired) {
+        passageRequest = `Passage type: ${chunk.type} (paired passages).
+Write two related shorter passages of about 400 words each, headed "Passage A" and "Passage B", in one "text". Include questions on each passage and questions that compare them.`;
+    } else {
+        passageRequest = `Passage type: ${chunk.type}${chunk.topic ? `, on ${chunk.topic}` : ''}.
+${info.format}`;
+    }
+
+    const avoid = (chunk.avoid || []).slice(-40);
+
+    const prompt = `Generate passage ${chunk.index + 1} of ${chunk.of} of a realistic ACT ${info.name} section with exactly ${count} questions, numbered ${chunk.firstNumber} to ${lastNumber}.
+Skills to cover: ${info.topics}
 
-For reading/science sections, include passages followed by questions.
-For math/english, create standalone questions or questions with short passages.
+Tag each question with the ACT reporting category and skill it tests, from this list:
+${reportingCategories.describe(section)}
 
+${passageRequest}
+${avoid.length > 0 ? `
+Do not repeat any of these questions from earlier in the section:
+${avoid.map(q => `- ${q.slice(0, 100)}`).join('\n')}
+` : ''}
 Format your response as JSON:
 {
-  "section": "${section}",
-  "passages": [
+  "title": "Passage title",
+  "text": "Passage text",
+  "questions": [
     {
-      "text": "Passage text here if applicable",
-      "questions": [
-        {
-          "question": "Question text",
-          "options": {"A": "", "B": "", "C": "", "D": ""},
-          "correctAnswer": "A",
-          "explanation": ""
-        }
-      ]
+      "question": "Question text",
+      "options": {"A": "", "B": "", "C": "", "D": ""},
+      "correctAnswer": "A",
+      "explanation": "",
+      "category": "Reporting category name",
+      "skill": "Skill name"
     }
   ]
 }
@@ -240,27 +589,93 @@ Format your response as JSON:
 Only output valid JSON.`;
 
     const messages = [
-        { role: 'system', content: 'You are an expert ACT test creator. Generate realistic test content that matches the official ACT format.' },
+        { role: 'system', content: TEST_CREATOR_PROMPT },
         { role: 'user', content: prompt }
     ];
 
-    const response = await chat(modelKey || 'deepseek-v3', messages, { max_tokens: 16384 });
-    
-    try {
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
+    const passage = await generateJson('testPassage', 'Failed to parse test section from AI response', modelKey || DEFAULT_MODEL, messages, {
+        ...options,
+        feature: 'test',
+        max_tokens: 8192
+    });
+
+    passage.questions = passage.questions.map(question => reportingCategories.tag(section, question));
+    return passage;
+}
+
+/**
+ * Generate a full-length practice test section, chunk by chunk (see
+ * services/testBlueprint). Questions that repeat one earlier in the section
+ * are dropped and the chunk is topped up to its blueprint length.
+ * @param {Object} options - Passed to chat(), plus:
+ *   chunks: chunks generated before, e.g. by a job that was interrupted
+ *   onChunk(chunks, chunk): called after each chunk, to checkpoint or report progress
+ *   onChunkStart(chunk): called before each chunk is generated
+ *   drawChunk(chunk): may return a stored chunk ({ title, text, questions, model })
+ *     to use instead of generating one, e.g. from the question bank
+ */
+async function generateTestSection(section, modelKey, options = {}) {
+    const { chunks: previous = [], onChunk, onChunkStart, drawChunk, ...chatOptions } = options;
+
+    const chunks = [...previous];
+    const seen = new Set();
+    chunks.forEach(chunk => testBlueprint.dedupe(chunk.questions, seen));
+
+    for (const spec of testBlueprint.chunksFor(section).slice(chunks.length)) {
+        if (onChunkStart) {
+            await onChunkStart(spec);
+        }
+
+        const avoid = () => chunks.flatMap(chunk => chunk.questions.map(q => q.question));
+
+        const drawn = drawChunk ? await drawChunk(spec) : null;
+        const generated = drawn || await generateTestPassage(section, { ...spec, avoid: avoid() }, modelKey, chatOptions);
+        let { questions, duplicates } = testBlueprint.dedupe(generated.questions, seen);
+        questions = questions.slice(0, spec.questions);
+
+        for (let attempt = 0; questions.length < spec.questions && attempt < TOP_UP_ATTEMPTS; attempt++) {
+            const missing = spec.questions - questions.length;
+            console.warn(`Topping up ${section} chunk ${spec.index + 1} with ${missing} question(s)${duplicates ? ` (${duplicates} duplicate(s) dropped)` : ''}`);
+
+            const more = await generateTestPassage(section, {
+                ...spec,
+                text: section === 'math' ? '' : generated.text,
+                firstNumber: spec.firstNumber + questions.length,
+                count: missing,
+                avoid: [...avoid(), ...questions.map(q => q.question)]
+            }, modelKey, chatOptions);
+
+            const added = testBlueprint.dedupe(more.questions, seen);
+            duplicates = added.duplicates;
+            questions.push(...added.questions.slice(0, missing));
+        }
+
+        if (questions.length < spec.questions) {
+            console.warn(`${section} chunk ${spec.index + 1} has ${questions.length} of ${spec.questions} questions`);
+        }
+
+        chunks.push({
+            type: spec.type,
+            paired: !!spec.paired,
+            title: generated.title || '',
+            text: section === 'math' ? '' : generated.text || '',
+            questions,
+            ...(drawn ? { fromBank: true, model: drawn.model } : {})
+        });
+
+        if (onChunk) {
+            await onChunk(chunks, spec);
         }
-        return JSON.parse(response);
-    } catch (e) {
-        throw new Error('Failed to parse test section from AI response');
     }
+
+    return testBlueprint.assembleSection(section, chunks);
 }
 
 /**
  * Chat with AI tutor
+ * @param {Object} options - Passed to chat(), e.g. { stream, onToken, signal, onModel }
  */
-async function chatWithTutor(messages, modelKey) {
+async function chatWithTutor(messages, modelKey, options = {}) {
     const systemMessage = {
         role: 'system',
         content: `You are an expert ACT tutor. Help students understand concepts, solve problems, and prepare for the ACT test.
@@ -275,13 +690,13 @@ Guidelines:
     };
 
     const allMessages = [systemMessage, ...messages];
-    return await chat(modelKey || 'deepseek-v3', allMessages);
+    return await chat(modelKey || DEFAULT_MODEL, allMessages, { ...options, feature: 'chat' });
 }
 
 /**
  * Generate a study plan using AI
  */
-async function generateStudyPlan(params, modelKey) {
+async function generateStudyPlan(params, modelKey, options = {}) {
     const prompt = `Create a personalized ACT study plan based on the following:
 
 Current Score: ${params.currentScore || 'Not taken yet'}
@@ -291,6 +706,7 @@ Study Hours Per Day: ${params.hoursPerDay}
 Study Days Per Week: ${params.daysPerWeek.join(', ')}
 Weak Subjects: ${params.weakSubjects.join(', ')}
 Strong Subjects: ${params.strongSubjects.join(', ')}
+Weak Areas (from a placement diagnostic): ${(params.focusAreas || []).join(', ') || 'None identified'}
 Learning Style: ${params.learningStyle}
 Study Time Preference: ${params.timePreference.join(', ')}
 Other Commitments: ${params.otherCommitments || 'None specified'}
@@ -335,23 +751,17 @@ Only output valid JSON.`;
         { role: 'user', content: prompt }
     ];
 
-    const response = await chat(modelKey || 'deepseek-v3', messages, { max_tokens: 8192 });
-    
-    try {
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-        }
-        return JSON.parse(response);
-    } catch (e) {
-        throw new Error('Failed to parse study plan from AI response');
-    }
+    return await generateJson('studyPlan', 'Failed to parse study plan from AI response', modelKey || DEFAULT_MODEL, messages, {
+        ...options,
+        feature: 'studyPlan',
+        max_tokens: 8192
+    });
 }
 
 /**
  * Grade an essay using AI
  */
-async function gradeEssay(prompt, essay, modelKey) {
+async function gradeEssay(prompt, essay, modelKey, options = {}) {
     const gradePrompt = `You are an ACT Writing grader. Grade the following essay based on the ACT Writing rubric.
 
 PROMPT:
@@ -397,23 +807,17 @@ Only output valid JSON.`;
         { role: 'user', content: gradePrompt }
     ];
 
-    const response = await chat(modelKey || 'deepseek-v3', messages, { max_tokens: 4096 });
-    
-    try {
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-        }
-        return JSON.parse(response);
-    } catch (e) {
-        throw new Error('Failed to parse essay grading from AI response');
-    }
+    return await generateJson('essayGrading', 'Failed to parse essay grading from AI response', modelKey || DEFAULT_MODEL, messages, {
+        ...options,
+        feature: 'essayGrading',
+        max_tokens: 4096
+    });
 }
 
 /**
  * Generate flashcards from content using AI
  */
-async function generateFlashcards(topic, count, modelKey) {
+async function generateFlashcards(topic, count, modelKey, options = {}) {
     const prompt = `Generate ${count} flashcards for ACT preparation on the topic: ${topic}
 
 Each flashcard should have:
@@ -437,23 +841,17 @@ Only output the JSON array.`;
         { role: 'user', content: prompt }
     ];
 
-    const response = await chat(modelKey || 'deepseek-v3', messages, { max_tokens: 4096 });
-    
-    try {
-        const jsonMatch = response.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-        }
-        return JSON.parse(response);
-    } catch (e) {
-        throw new Error('Failed to parse flashcards from AI response');
-    }
+    return await generateJson('flashcards', 'Failed to parse flashcards from AI response', modelKey || DEFAULT_MODEL, messages, {
+        ...options,
+        feature: 'flashcards',
+        max_tokens: 4096
+    });
 }
 
 /**
  * Generate an essay prompt using AI
  */
-async function generateEssayPrompt(category, modelKey) {
+async function generateEssayPrompt(category, modelKey, options = {}) {
     const prompt = `Generate an ACT Writing-style essay prompt about ${category || 'a contemporary issue'}.
 
 The prompt should:
@@ -480,24 +878,20 @@ Only output valid JSON.`;
         { role: 'user', content: prompt }
     ];
 
-    const response = await chat(modelKey || 'deepseek-v3', messages, { max_tokens: 2048 });
-    
-    try {
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-        }
-        return JSON.parse(response);
-    } catch (e) {
-        throw new Error('Failed to parse essay prompt from AI response');
-    }
+    return await generateJson('essayPrompt', 'Failed to parse essay prompt from AI response', modelKey || DEFAULT_MODEL, messages, {
+        ...options,
+        feature: 'essayPrompt',
+        max_tokens: 2048
+    });
 }
 
 module.exports = {
     getModels,
+    getModel,
     chat,
     generateLesson,
     generateQuiz,
+    generateTestPassage,
     generateTestSection,
     chatWithTutor,
     generateStudyPlan,
@@ -0,0 +1,361 @@
+/**
+ * AI Output Parsing
+ * JSON schemas for the structured generators, plus the extraction and
+ * validation that turns a model response into data the routes can trust.
+ *
+ * The schemas use a small subset of JSON Schema (type, required, properties,
+ * additionalProperties, items, enum, minimum, maximum, minLength, minItems,
+ * minProperties) and two extensions:
+ *
+ *   dropInvalidItems  on arrays: invalid items are removed one by one
+ *                     instead of failing the whole response
+ *   keyOf             on objects: { field: 'other' } requires value[field]
+ *                     to be one of the keys of value[other]
+ */
+
+const TEXT = { type: 'string', minLength: 1 };
+
+const QUESTION = {
+    type: 'object',
+    required: ['question', 'options', 'correctAnswer', 'explanation'],
+    properties: {
+        question: TEXT,
+        options: { type: 'object', minProperties: 4, additionalProperties: TEXT },
+        correctAnswer: TEXT,
+        explanation: { type: 'string' },
+        category: { type: 'string' },
+        skill: { type: 'string' }
+    },
+    keyOf: { correctAnswer: 'options' }
+};
+
+const SCORE = { type: 'integer', minimum: 1, maximum: 6 };
+
+const SCHEMAS = {
+    quiz: {
+        type: 'array',
+        minItems: 1,
+        dropInvalidItems: true,
+        items: QUESTION
+    },
+    testPassage: {
+        type: 'object',
+        required: ['questions'],
+        properties: {
+            title: { type: 'string' },
+            text: { type: 'string' },
+            questions: { type: 'array', minItems: 1, dropInvalidItems: true, items: QUESTION }
+        }
+    },
+    studyPlan: {
+        type: 'object',
+        required: ['summary', 'totalWeeks', 'weeks'],
+        properties: {
+            summary: TEXT,
+            totalWeeks: { type: 'integer', minimum: 1 },
+            estimatedImprovement: { type: 'number' },
+            weeks: {
+                type: 'array',
+                minItems: 1,
+                dropInvalidItems: true,
+                items: {
+                    type: 'object',
+                    required: ['week', 'focus', 'days'],
+                    properties: {
+                        week: { type: 'integer', minimum: 1 },
+                        focus: TEXT,
+                        goals: { type: 'array', items: { type: 'string' } },
+                        days: {
+                            type: 'array',
+                            dropInvalidItems: true,
+                            items: {
+                                type: 'object',
+                                required: ['day', 'tasks'],
+                                properties: {
+                                    day: TEXT,
+                                    tasks: {
+                                        type: 'array',
+                                        dropInvalidItems: true,
+                                        items: {
+                                            type: 'object',
+                                            required: ['subject', 'activity'],
+                                            properties: {
+                                                time: { type: 'string' },
+                                                subject: TEXT,
+                                                activity: TEXT,
+                                                resources: { type: 'string' }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            milestones: {
+                type: 'array',
+                dropInvalidItems: true,
+                items: {
+                    type: 'object',
+                    required: ['week', 'milestone'],
+                    properties: {
+                        week: { type: 'integer', minimum: 1 },
+                        milestone: TEXT,
+                        targetScore: { type: 'number', minimum: 1, maximum: 36 }
+                    }
+                }
+            }
+        }
+    },
+    essayGrading: {
+        type: 'object',
+        required: ['scores', 'feedback'],
+        properties: {
+            scores: {
+                type: 'object',
+                required: ['ideasAndAnalysis', 'developmentAndSupport', 'organization', 'languageUse', 'overall'],
+                properties: {
+                    ideasAndAnalysis: SCORE,
+                    developmentAndSupport: SCORE,
+                    organization: SCORE,
+                    languageUse: SCORE,
+                    overall: { type: 'integer', minimum: 2, maximum: 12 }
+                }
+            },
+            feedback: {
+                type: 'object',
+                required: ['ideasAndAnalysis', 'developmentAndSupport', 'organization', 'languageUse'],
+                additionalProperties: { type: 'string' }
+            },
+            strengths: { type: 'array', items: { type: 'string' } },
+            improvements: { type: 'array', items: { type: 'string' } },
+            grammarIssues: {
+                type: 'array',
+                dropInvalidItems: true,
+                items: {
+                    type: 'object',
+                    required: ['original', 'corrected'],
+                    properties: {
+                        original: TEXT,
+                        corrected: TEXT,
+                        explanation: { type: 'string' }
+                    }
+                }
+            },
+            overallComments: { type: 'string' }
+        }
+    },
+    flashcards: {
+        type: 'array',
+        minItems: 1,
+        dropInvalidItems: true,
+        items: {
+            type: 'object',
+            required: ['front', 'back'],
+            properties: {
+                front: TEXT,
+                back: TEXT,
+                tags: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    },
+    essayPrompt: {
+        type: 'object',
+        required: ['topic', 'introduction', 'perspectives', 'instructions'],
+        properties: {
+            topic: TEXT,
+            introduction: TEXT,
+            perspectives: {
+                type: 'array',
+                minItems: 3,
+                dropInvalidItems: true,
+                items: {
+                    type: 'object',
+                    required: ['name', 'description'],
+                    properties: { name: TEXT, description: TEXT }
+                }
+            },
+            instructions: TEXT
+        }
+    }
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function hasType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema. Arrays marked dropInvalidItems are
+ * filtered in place; what was removed is added to dropped.
+ * @returns {Array<string>} - Errors that make the value invalid
+ */
+function validate(value, schema, path, dropped) {
+    if (schema.type && !hasType(value, schema.type)) {
+        return [`${path} should be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+        errors.push(`${path} should not be empty`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.items) {
+            for (let i = value.length - 1; i >= 0; i--) {
+                const itemErrors = validate(value[i], schema.items, `${path}[${i}]`, dropped);
+                if (itemErrors.length === 0) {
+                    continue;
+                }
+                if (schema.dropInvalidItems) {
+                    value.splice(i, 1);
+                    dropped.push(...itemErrors);
+                } else {
+                    errors.push(...itemErrors);
+                }
+            }
+        }
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} should have at least ${schema.minItems} valid item(s)`);
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined || value[field] === null) {
+                errors.push(`${path}.${field} is required`);
+            }
+        }
+
+        for (const [field, fieldValue] of Object.entries(value)) {
+            const fieldSchema = (schema.properties && schema.properties[field]) || schema.additionalProperties;
+            if (fieldSchema && fieldValue !== undefined && fieldValue !== null) {
+                errors.push(...validate(fieldValue, fieldSchema, `${path}.${field}`, dropped));
+            }
+        }
+
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            errors.push(`${path} should have at least ${schema.minProperties} entries`);
+        }
+
+        for (const [field, other] of Object.entries(schema.keyOf || {})) {
+            const keys = value[other] && typeof value[other] === 'object' ? Object.keys(value[other]) : [];
+            if (value[field] !== undefined && !keys.includes(value[field])) {
+                errors.push(`${path}.${field} should be one of the ${other} (${keys.join(', ')})`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Find the end of the JSON value starting at text[start], skipping
+ * brackets inside strings. Returns -1 if it never closes.
+ */
+function balancedEnd(text, start) {
+    const stack = [];
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            if (stack.pop() !== char) {
+                return -1;
+            }
+            if (stack.length === 0) {
+                return i;
+            }
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Pull a JSON value of the given type out of a model response, ignoring
+ * code fences and any prose around it
+ * @returns {*} - The parsed value, or undefined if there is none
+ */
+function extractJson(response, type) {
+    const body = String(response || '').replace(/```(?:json)?/gi, '').trim();
+
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        // Fall through to scanning for an embedded value
+    }
+
+    const open = type === 'array' ? '[' : '{';
+    for (let start = body.indexOf(open); start !== -1; start = body.indexOf(open, start + 1)) {
+        const end = balancedEnd(body, start);
+        if (end === -1) {
+            continue;
+        }
+        try {
+            return JSON.parse(body.slice(start, end + 1));
+        } catch (e) {
+            // Try the next candidate
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Parse and validate a generator's response
+ * @param {string} kind - Key of SCHEMAS
+ * @param {string} response - Raw model output
+ * @returns {Object} - { ok, value, errors, dropped }
+ */
+function parse(kind, response) {
+    const schema = SCHEMAS[kind];
+    const value = extractJson(response, schema.type);
+
+    if (value === undefined) {
+        return { ok: false, value: null, errors: ['Response is not valid JSON'], dropped: [] };
+    }
+
+    const dropped = [];
+    const errors = validate(value, schema, '$', dropped);
+    return { ok: errors.length === 0, value, errors, dropped };
+}
+
+module.exports = {
+    SCHEMAS,
+    validate,
+    extractJson,
+    parse
+};
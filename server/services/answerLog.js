@@ -0,0 +1,211 @@
+/**
+ * Answer Log Service
+ * An event log per quiz or test attempt: questions viewed, answers chosen,
+ * changed or cleared, and flags, each with a timestamp. Results use it for
+ * time per question and answer-change analysis.
+ *
+ * Answer and flag events are worked out on the server by comparing each
+ * save with what was saved before, so they can't be forged. Views only
+ * happen in the browser; the client sends them with its saves and their
+ * timestamps are clamped to the attempt.
+ *
+ * Logs are stored in answer_logs.json, one record per attempt.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+const MAX_VIEWS_PER_SAVE = 500;
+const SLOWEST_COUNT = 5;
+
+/**
+ * Answer and flag events for a save
+ * @param {Object} previous - { answers, flagged } as saved before, keyed by question
+ * @param {Object} next - { answers, flagged } sent with the save
+ * @param {Object} extra - Fields for every event, e.g. { section }
+ * @returns {Array<Object>}
+ */
+function diff(previous, next, extra = {}, now = Date.now()) {
+    const at = new Date(now).toISOString();
+    const events = [];
+    const savedAnswers = previous.answers || {};
+    const savedFlags = previous.flagged || {};
+
+    for (const [question, answer] of Object.entries(next.answers || {})) {
+        const before = savedAnswers[question] || null;
+        const after = answer || null;
+        if (before === after) {
+            continue;
+        }
+
+        const type = !before ? 'answer' : !after ? 'clear' : 'change';
+        events.push({ ...extra, type, question, answer: after, previous: before, at });
+    }
+
+    for (const [question, flagged] of Object.entries(next.flagged || {})) {
+        if (!!savedFlags[question] !== !!flagged) {
+            events.push({ ...extra, type: flagged ? 'flag' : 'unflag', question, at });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Validate view events sent by a client
+ * @param {Array<Object>} viewed - [{ question, at }]
+ * @param {Set<string>} questions - Keys of the attempt's questions
+ * @param {string} startedAt - Views before the attempt started are moved to its start
+ */
+function views(viewed, questions, startedAt, extra = {}, now = Date.now()) {
+    if (!Array.isArray(viewed)) {
+        return [];
+    }
+
+    const start = startedAt ? new Date(startedAt).getTime() : now;
+
+    return viewed
+        .slice(0, MAX_VIEWS_PER_SAVE)
+        .filter(view => view && questions.has(view.question))
+        .map(view => {
+            const time = new Date(view.at).getTime();
+            const at = isNaN(time) ? now : Math.min(Math.max(time, start), now);
+            return { ...extra, type: 'view', question: view.question, at: new Date(at).toISOString() };
+        });
+}
+
+/**
+ * Append events to an attempt's log
+ * @param {Object} attempt - { type: "quiz" | "test", id, userId }
+ */
+async function append(attempt, events) {
+    if (events.length === 0) {
+        return;
+    }
+
+    const log = await storage.findOne('answer_logs.json', { attemptId: attempt.id });
+
+    if (!log) {
+        await storage.insert('answer_logs.json', {
+            id: uuidv4(),
+            userId: attempt.userId,
+            attemptType: attempt.type,
+            attemptId: attempt.id,
+            events,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+        return;
+    }
+
+    await storage.update('answer_logs.json', { id: log.id }, {
+        events: [...log.events, ...events],
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Get an attempt's events, oldest first
+ */
+async function getEvents(attemptId) {
+    const log = await storage.findOne('answer_logs.json', { attemptId });
+    return log ? [...log.events].sort((a, b) => a.at.localeCompare(b.at)) : [];
+}
+
+/**
+ * Delete an attempt's log
+ */
+function remove(attemptId) {
+    return storage.remove('answer_logs.json', { attemptId });
+}
+
+/**
+ * Time per question and answer changes for an attempt (or one test section)
+ *
+ * Time on a question runs from a view of it to the next view, or to the end
+ * of the attempt. Attempts logged without views (older clients) fall back
+ * to the time between answer saves, given to the question answered.
+ *
+ * @param {Array<Object>} events - From getEvents()
+ * @param {Array<Object>} questions - [{ key, number, correctAnswer }]
+ * @param {string} startedAt
+ * @param {string} endedAt
+ * @returns {Object} - { questions: [...], totals, slowest }
+ */
+function analyze(events, questions, startedAt, endedAt) {
+    const rows = new Map(questions.map(q => [q.key, {
+        question: q.key,
+        number: q.number,
+        timeSeconds: 0,
+        views: 0,
+        changes: 0,
+        rightToWrong: 0,
+        wrongToRight: 0,
+        wrongToWrong: 0
+    }]));
+    const correctAnswers = new Map(questions.map(q => [q.key, q.correctAnswer]));
+    const end = endedAt ? new Date(endedAt).getTime() : Date.now();
+
+    const known = events.filter(event => rows.has(event.question));
+    const viewEvents = known.filter(event => event.type === 'view');
+
+    if (viewEvents.length > 0) {
+        viewEvents.forEach((view, index) => {
+            const from = new Date(view.at).getTime();
+            const to = index + 1 < viewEvents.length ? new Date(viewEvents[index + 1].at).getTime() : end;
+            const row = rows.get(view.question);
+            row.views++;
+            row.timeSeconds += Math.max(0, to - from) / 1000;
+        });
+    } else {
+        let from = startedAt ? new Date(startedAt).getTime() : null;
+        for (const event of known.filter(e => ['answer', 'change'].includes(e.type))) {
+            const at = new Date(event.at).getTime();
+            if (from !== null) {
+                rows.get(event.question).timeSeconds += Math.max(0, at - from) / 1000;
+            }
+            from = at;
+        }
+    }
+
+    for (const event of known.filter(e => e.type === 'change')) {
+        const row = rows.get(event.question);
+        const correct = correctAnswers.get(event.question);
+        row.changes++;
+        if (event.previous === correct) {
+            row.rightToWrong++;
+        } else if (event.answer === correct) {
+            row.wrongToRight++;
+        } else {
+            row.wrongToWrong++;
+        }
+    }
+
+    const list = [...rows.values()].map(row => ({ ...row, timeSeconds: Math.round(row.timeSeconds) }));
+    const sum = (field) => list.reduce((total, row) => total + row[field], 0);
+
+    return {
+        questions: list,
+        totals: {
+            timeSeconds: sum('timeSeconds'),
+            changes: sum('changes'),
+            rightToWrong: sum('rightToWrong'),
+            wrongToRight: sum('wrongToRight'),
+            wrongToWrong: sum('wrongToWrong')
+        },
+        slowest: [...list]
+            .filter(row => row.timeSeconds > 0)
+            .sort((a, b) => b.timeSeconds - a.timeSeconds)
+            .slice(0, SLOWEST_COUNT)
+            .map(row => ({ question: row.question, number: row.number, timeSeconds: row.timeSeconds }))
+    };
+}
+
+module.exports = {
+    diff,
+    views,
+    append,
+    getEvents,
+    remove,
+    analyze
+};
@@ -0,0 +1,196 @@
+/**
+ * Backup Service
+ * Rotating, compressed snapshots of every storage collection, with
+ * verification and restore of single collections or everything.
+ *
+ * Snapshots are gzip'd JSON documents written to BACKUP_DIR. They are read
+ * through the storage service, so they work the same for every driver.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const storage = require('./storage');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', '..', 'backups');
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP || '14', 10);
+const BACKUP_INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS || '24');
+
+const SNAPSHOT_PATTERN = /^snapshot-[0-9TZ-]+(-[a-z]+)?\.json\.gz$/;
+
+let scheduleTimer = null;
+
+/**
+ * Resolve a snapshot name to its path, rejecting anything that isn't one
+ */
+function snapshotPath(name) {
+    if (!SNAPSHOT_PATTERN.test(name)) {
+        const error = new Error(`Invalid snapshot name: ${name}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return path.join(BACKUP_DIR, name);
+}
+
+/**
+ * Decompress and parse a snapshot, checking that every collection is intact
+ */
+function parseSnapshot(buffer, name) {
+    const snapshot = JSON.parse(zlib.gunzipSync(buffer).toString('utf8'));
+
+    for (const [collection, count] of Object.entries(snapshot.counts || {})) {
+        const items = snapshot.collections[collection];
+        if (!Array.isArray(items) || items.length !== count) {
+            throw new Error(`Snapshot ${name} is corrupt: ${collection} does not match its row count`);
+        }
+    }
+
+    return snapshot;
+}
+
+/**
+ * Read and verify a snapshot file
+ * @returns {Object} The snapshot document
+ */
+function loadSnapshot(name) {
+    const filepath = snapshotPath(name);
+    if (!fs.existsSync(filepath)) {
+        const error = new Error(`Snapshot not found: ${name}`);
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return parseSnapshot(fs.readFileSync(filepath), name);
+}
+
+/**
+ * Take a snapshot of all collections
+ * @param {string} [label] - Optional suffix, e.g. "prerestore"
+ * @returns {Promise<Object>} - { name, createdAt, size, counts }
+ */
+async function createSnapshot(label) {
+    if (!fs.existsSync(BACKUP_DIR)) {
+        fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    }
+
+    const createdAt = new Date().toISOString();
+    const collections = {};
+    const counts = {};
+
+    for (const collection of storage.COLLECTIONS) {
+        collections[collection] = await storage.read(collection, []);
+        counts[collection] = collections[collection].length;
+    }
+
+    const name = `snapshot-${createdAt.replace(/[:.]/g, '-')}${label ? `-${label}` : ''}.json.gz`;
+    const filepath = snapshotPath(name);
+    const tempPath = filepath + '.tmp';
+
+    const body = JSON.stringify({ createdAt, driver: storage.driver, counts, collections });
+    fs.writeFileSync(tempPath, zlib.gzipSync(body));
+
+    // Verify the snapshot parses back before keeping it
+    try {
+        parseSnapshot(fs.readFileSync(tempPath), name);
+    } catch (error) {
+        fs.unlinkSync(tempPath);
+        throw new Error(`Snapshot verification failed: ${error.message}`);
+    }
+    fs.renameSync(tempPath, filepath);
+
+    rotate();
+
+    return { name, createdAt, size: fs.statSync(filepath).size, counts };
+}
+
+/**
+ * List snapshots, newest first
+ */
+function listSnapshots() {
+    if (!fs.existsSync(BACKUP_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(BACKUP_DIR)
+        .filter(name => SNAPSHOT_PATTERN.test(name))
+        .sort()
+        .reverse()
+        .map(name => {
+            const stats = fs.statSync(path.join(BACKUP_DIR, name));
+            return { name, size: stats.size, createdAt: stats.mtime.toISOString() };
+        });
+}
+
+/**
+ * Delete all but the newest BACKUP_KEEP snapshots
+ */
+function rotate() {
+    for (const snapshot of listSnapshots().slice(BACKUP_KEEP)) {
+        fs.unlinkSync(path.join(BACKUP_DIR, snapshot.name));
+    }
+}
+
+/**
+ * Restore collections from a snapshot. The current state is snapshotted
+ * first so a restore can itself be undone.
+ * @param {string} name - Snapshot name
+ * @param {Array<string>} [collections] - Collections to restore (default: all)
+ * @returns {Promise<Object>} - { restored: { collection: count }, safetySnapshot }
+ */
+async function restoreSnapshot(name, collections) {
+    const snapshot = loadSnapshot(name);
+    const targets = collections && collections.length > 0 ? collections : Object.keys(snapshot.collections);
+
+    for (const collection of targets) {
+        if (!Array.isArray(snapshot.collections[collection])) {
+            const error = new Error(`Snapshot ${name} has no collection ${collection}`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    const safety = await createSnapshot('prerestore');
+
+    const restored = {};
+    for (const collection of targets) {
+        await storage.write(collection, snapshot.collections[collection]);
+        restored[collection] = snapshot.collections[collection].length;
+    }
+
+    return { restored, safetySnapshot: safety.name };
+}
+
+/**
+ * Start taking snapshots every BACKUP_INTERVAL_HOURS. Only the first pm2
+ * instance runs the schedule.
+ */
+function startSchedule() {
+    const instance = process.env.NODE_APP_INSTANCE;
+    if (BACKUP_INTERVAL_HOURS <= 0 || (instance !== undefined && instance !== '0') || scheduleTimer) {
+        return;
+    }
+
+    scheduleTimer = setInterval(() => {
+        createSnapshot()
+            .then(snapshot => console.log(`Backup snapshot created: ${snapshot.name}`))
+            .catch(error => console.error('Scheduled backup failed:', error));
+    }, BACKUP_INTERVAL_HOURS * 60 * 60 * 1000);
+    scheduleTimer.unref();
+}
+
+function stopSchedule() {
+    if (scheduleTimer) {
+        clearInterval(scheduleTimer);
+        scheduleTimer = null;
+    }
+}
+
+module.exports = {
+    createSnapshot,
+    listSnapshots,
+    loadSnapshot,
+    restoreSnapshot,
+    startSchedule,
+    stopSchedule,
+    BACKUP_DIR
+};
@@ -0,0 +1,281 @@
+/**
+ * Diagnostic Service
+ * A placement diagnostic is one short adaptive quiz per ACT section (see
+ * services/adaptive), DIAGNOSTIC_QUESTIONS questions at most each. When the
+ * last one is submitted, the section estimates and the reporting categories
+ * the student missed become their baseline: progress.diagnostic, which the
+ * dashboard shows and study plans start from.
+ *
+ * Diagnostics are stored in diagnostics.json; their quizzes carry the
+ * diagnostic's id. A diagnostic that can no longer finish - a section's
+ * job failed or was cancelled, or its quiz was deleted - is marked failed
+ * or cancelled the next time it is looked at, and a new one can start.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const jobs = require('./jobs');
+const reportingCategories = require('./reportingCategories');
+
+const QUESTIONS = parseInt(process.env.DIAGNOSTIC_QUESTIONS || '10', 10);
+const SECTIONS = ['English', 'Math', 'Reading', 'Science'];
+
+// Categories answered below this percent are weaknesses
+const WEAK_PERCENT = 60;
+
+/**
+ * Start a diagnostic: queue its section quizzes
+ * @returns {Promise<Object>} - The diagnostic
+ */
+async function start(userId) {
+    const diagnostic = {
+        id: uuidv4(),
+        userId,
+        status: 'in_progress', // in_progress, completed, failed, cancelled
+        jobs: {},
+        results: null,
+        reason: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        completedAt: null
+    };
+
+    for (const subject of SECTIONS) {
+        const job = await jobs.enqueue('quiz', userId, {
+            subject,
+            topic: 'General',
+            questionsCount: QUESTIONS,
+            difficulty: 'Intermediate',
+            timed: false,
+            fromBank: true,
+            adaptive: true,
+            diagnosticId: diagnostic.id
+        });
+        diagnostic.jobs[subject.toLowerCase()] = job.id;
+    }
+
+    await storage.insert('diagnostics.json', diagnostic);
+    return diagnostic;
+}
+
+/**
+ * Status of a section that has no quiz, from its job. A job that finished
+ * without leaving a quiz (or is gone) had its quiz deleted.
+ */
+function jobStatus(job) {
+    if (!job || job.status === 'completed') {
+        return 'deleted';
+    }
+    return ['failed', 'cancelled'].includes(job.status) ? job.status : 'generating';
+}
+
+/**
+ * The state of each section: its quiz once generated, otherwise its job
+ * @returns {Promise<Array<Object>>} - [{ subject, key, status, quizId, answered, maxQuestions, ability }]
+ */
+async function sections(diagnostic) {
+    const quizzes = await storage.findMany('quizzes.json', q => q.diagnosticId === diagnostic.id);
+
+    return Promise.all(SECTIONS.map(async (subject) => {
+        const key = subject.toLowerCase();
+        const quiz = quizzes.find(q => q.subject === subject);
+
+        if (!quiz) {
+            const job = await jobs.getJob(diagnostic.jobs[key], diagnostic.userId);
+            return {
+                subject,
+                key,
+                status: jobStatus(job),
+                jobId: diagnostic.jobs[key],
+                quizId: null,
+                answered: 0,
+                maxQuestions: QUESTIONS,
+                ability: null
+            };
+        }
+
+        return {
+            subject,
+            key,
+            status: quiz.status,
+            jobId: diagnostic.jobs[key],
+            quizId: quiz.id,
+            answered: Object.keys(quiz.answers || {}).length,
+            maxQuestions: quiz.maxQuestions,
+            ability: quiz.status === 'completed' ? quiz.ability : null
+        };
+    }));
+}
+
+const ENDED = {
+    failed: (subject) => ({ status: 'failed', reason: `The ${subject} section could not be prepared` }),
+    cancelled: (subject) => ({ status: 'cancelled', reason: `The ${subject} section was cancelled` }),
+    deleted: (subject) => ({ status: 'cancelled', reason: `The ${subject} section's quiz was deleted` })
+};
+
+/**
+ * End a diagnostic: cancel its sections still being generated and record why
+ */
+async function end(diagnostic, status, reason) {
+    for (const jobId of Object.values(diagnostic.jobs)) {
+        await jobs.cancel(jobId, diagnostic.userId);
+    }
+
+    return storage.update('diagnostics.json', { id: diagnostic.id }, {
+        status,
+        reason,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Load a diagnostic's sections, first ending it if one of them can no
+ * longer be taken
+ * @returns {Promise<Object>} - { diagnostic, sections }
+ */
+async function refresh(diagnostic) {
+    const states = await sections(diagnostic);
+    if (diagnostic.status !== 'in_progress') {
+        return { diagnostic, sections: states };
+    }
+
+    const stuck = states.find(section => ENDED[section.status]);
+    if (!stuck) {
+        return { diagnostic, sections: states };
+    }
+
+    const { status, reason } = ENDED[stuck.status](stuck.subject);
+    const ended = await end(diagnostic, status, reason);
+    return { diagnostic: ended, sections: await sections(ended) };
+}
+
+/**
+ * Abandon an in-progress diagnostic so another can start
+ */
+async function cancel(diagnostic) {
+    return end(diagnostic, 'cancelled', 'Restarted');
+}
+
+/**
+ * Baseline from completed section quizzes
+ * @returns {Object} - { composite, sections, weaknesses, studyPlanInputs }
+ */
+function summarize(quizzes) {
+    const results = {};
+    const weaknesses = [];
+
+    for (const quiz of quizzes) {
+        const key = quiz.subject.toLowerCase();
+        const categories = reportingCategories.breakdown(quiz.subject, quiz.questions.map(q => ({
+            category: q.category,
+            skill: q.skill,
+            correct: q.status === 'correct'
+        })));
+
+        results[key] = {
+            scaleScore: quiz.ability.scaleScore,
+            scaleRange: quiz.ability.scaleRange,
+            theta: quiz.ability.theta,
+            se: quiz.ability.se,
+            correct: quiz.score.correct,
+            total: quiz.score.total,
+            categories
+        };
+
+        for (const category of categories.filter(c => c.total > 0 && c.percent < WEAK_PERCENT)) {
+            weaknesses.push({
+                subject: key,
+                category: category.key,
+                name: category.name,
+                percent: category.percent,
+                skills: category.skills.filter(s => s.percent < WEAK_PERCENT).map(s => s.skill)
+            });
+        }
+    }
+
+    const scores = Object.values(results).map(r => r.scaleScore);
+    const composite = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+
+    return {
+        composite,
+        sections: results,
+        weaknesses: weaknesses.sort((a, b) => a.percent - b.percent),
+        studyPlanInputs: {
+            currentScore: composite,
+            weakSubjects: Object.keys(results).filter(key => results[key].scaleScore < composite),
+            strongSubjects: Object.keys(results).filter(key => results[key].scaleScore > composite)
+        }
+    };
+}
+
+/**
+ * Finish a diagnostic once all its section quizzes are submitted, and make
+ * its results the student's baseline
+ * @returns {Promise<Object|null>} - The completed diagnostic, or null if sections remain
+ */
+async function complete(diagnosticId) {
+    const diagnostic = await storage.findOne('diagnostics.json', { id: diagnosticId });
+    if (!diagnostic || diagnostic.status !== 'in_progress') {
+        return null;
+    }
+
+    const quizzes = await storage.findMany('quizzes.json', q => q.diagnosticId === diagnosticId);
+    const done = SECTIONS.map(subject => quizzes.find(q => q.subject === subject && q.status === 'completed'));
+    if (done.some(quiz => !quiz)) {
+        return null;
+    }
+
+    const results = summarize(done);
+    const completedAt = new Date().toISOString();
+
+    const updated = await storage.update('diagnostics.json', { id: diagnosticId }, {
+        status: 'completed',
+        results,
+        completedAt,
+        updatedAt: completedAt
+    });
+
+    const progress = await storage.findOne('progress.json', p => p.userId === diagnostic.userId);
+    if (progress) {
+        const subjects = { ...progress.subjects };
+        for (const [key, section] of Object.entries(results.sections)) {
+            if (subjects[key]) {
+                subjects[key] = { ...subjects[key], baseline: section.scaleScore };
+            }
+        }
+
+        const activityLog = [{
+            type: 'diagnostic_completed',
+            diagnosticId,
+            compositeScore: results.composite,
+            timestamp: completedAt
+        }, ...(progress.activityLog || [])].slice(0, 100);
+
+        await storage.update('progress.json', p => p.userId === diagnostic.userId, {
+            subjects,
+            activityLog,
+            diagnostic: {
+                id: diagnosticId,
+                completedAt,
+                composite: results.composite,
+                sections: Object.fromEntries(Object.entries(results.sections)
+                    .map(([key, section]) => [key, { scaleScore: section.scaleScore, scaleRange: section.scaleRange }])),
+                weaknesses: results.weaknesses,
+                studyPlanInputs: results.studyPlanInputs
+            }
+        });
+    }
+
+    return updated;
+}
+
+module.exports = {
+    QUESTIONS,
+    SECTIONS,
+    start,
+    sections,
+    refresh,
+    cancel,
+    summarize,
+    complete
+};
@@ -0,0 +1,143 @@
+/**
+ * On-disk Lock Files
+ * Exclusive locks that work across processes (e.g. pm2 cluster workers).
+ *
+ * A lock is a file created with O_EXCL that records its owner. Locks left
+ * behind by a dead process, or held longer than staleMs, are broken so a
+ * crashed worker can't block the others forever.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_STALE_MS = 30000;
+const RETRY_DELAY_MS = 10;
+
+/**
+ * Check whether a process on this host is still running
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Read the owner record of a lock file
+ */
+function readOwner(lockPath) {
+    try {
+        return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Decide whether an existing lock can be broken
+ */
+function isStale(lockPath, owner, staleMs) {
+    if (!owner) {
+        // Unreadable or half-written owner record; fall back to the file age
+        try {
+            return Date.now() - fs.statSync(lockPath).mtimeMs > staleMs;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    if (owner.hostname === os.hostname() && !isProcessAlive(owner.pid)) {
+        return true;
+    }
+
+    return Date.now() - owner.acquiredAt > staleMs;
+}
+
+/**
+ * Remove a stale lock, unless another process replaced it in the meantime
+ */
+function breakLock(lockPath, owner) {
+    const current = readOwner(lockPath);
+    if (owner && current && current.token !== owner.token) {
+        return;
+    }
+
+    try {
+        fs.unlinkSync(lockPath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Acquire an exclusive lock
+ * @param {string} lockPath - Path of the lock file
+ * @param {Object} options - { timeout, staleMs }
+ * @returns {Promise<Object>} - Lock handle; tookOver is true when a stale lock was broken
+ */
+async function acquire(lockPath, options = {}) {
+    const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    const staleMs = options.staleMs || DEFAULT_STALE_MS;
+    const deadline = Date.now() + timeout;
+    let tookOver = false;
+
+    while (true) {
+        const owner = {
+            pid: process.pid,
+            hostname: os.hostname(),
+            acquiredAt: Date.now(),
+            token: `${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}`
+        };
+
+        try {
+            fs.writeFileSync(lockPath, JSON.stringify(owner), { flag: 'wx' });
+            return { lockPath, token: owner.token, tookOver };
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const existing = readOwner(lockPath);
+        if (isStale(lockPath, existing, staleMs)) {
+            console.warn(`Breaking stale lock ${path.basename(lockPath)}`);
+            breakLock(lockPath, existing);
+            tookOver = true;
+            continue;
+        }
+
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for lock ${path.basename(lockPath)}`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+    }
+}
+
+/**
+ * Release a lock acquired with acquire()
+ */
+function release(lock) {
+    const owner = readOwner(lock.lockPath);
+    if (owner && owner.token !== lock.token) {
+        // Our lock was broken as stale and someone else holds it now
+        return;
+    }
+
+    try {
+        fs.unlinkSync(lock.lockPath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+}
+
+module.exports = { acquire, release };
@@ -0,0 +1,448 @@
+/**
+ * JSON File Storage Driver
+ * Stores each collection as a JSON array in its own file.
+ *
+ * Every read-modify-write holds an on-disk lock (<file>.lock), so several
+ * processes can share the data directory. Writes go to a temp file that is
+ * recorded in an append-only journal (<file>.journal) before it is renamed
+ * into place; after a crash the journal tells us whether to replay the
+ * rename or roll the temp file back.
+ *
+ * Parsed collections are cached in memory together with indexes on the
+ * INDEXED_FIELDS, and revalidated against the file on every access so
+ * writes from other processes are picked up. Records handed to callers are
+ * always copies, so mutating them can't corrupt the cache.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fileLock = require('./fileLock');
+const { INDEXED_FIELDS, matches, applyOptions } = require('./query');
+
+// Journals are checkpointed (truncated) once they grow past this size
+const JOURNAL_CHECKPOINT_BYTES = 1024 * 1024;
+
+/**
+ * Create a JSON file driver
+ * @param {Object} options
+ * @param {string} options.dataDir - Directory holding the collection files
+ */
+function createDriver({ dataDir }) {
+    // Collections this process has already recovered
+    const recovered = new Set();
+    let txnCounter = 0;
+
+    // Parsed collections keyed by filename: { stamp, data, indexes, order, nextOrder }
+    const cache = new Map();
+
+    function journalPath(filename) {
+        return path.join(dataDir, `${filename}.journal`);
+    }
+
+    /**
+     * Append an entry to a collection's journal and flush it to disk
+     */
+    function appendJournal(filename, entry) {
+        const fd = fs.openSync(journalPath(filename), 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify(entry) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Finish or undo writes interrupted by a crash. Must hold the lock.
+     */
+    function recover(filename) {
+        const filepath = path.join(dataDir, filename);
+        const journal = journalPath(filename);
+        const pending = new Map();
+
+        if (fs.existsSync(journal)) {
+            const lines = fs.readFileSync(journal, 'utf8').split('\n').filter(Boolean);
+            for (const line of lines) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    // Torn final line from a crash mid-append
+                    continue;
+                }
+
+                if (entry.op === 'prepare') {
+                    pending.set(entry.txn, entry);
+                } else {
+                    pending.delete(entry.txn);
+                }
+            }
+        }
+
+        for (const entry of pending.values()) {
+            const tempPath = path.join(dataDir, entry.temp);
+            if (!fs.existsSync(tempPath)) {
+                // The rename happened before the crash; nothing to replay
+                continue;
+            }
+
+            try {
+                JSON.parse(fs.readFileSync(tempPath, 'utf8'));
+                fs.renameSync(tempPath, filepath);
+                console.warn(`Replayed interrupted write to ${filename} (${entry.txn})`);
+            } catch (error) {
+                fs.unlinkSync(tempPath);
+                console.warn(`Rolled back interrupted write to ${filename} (${entry.txn})`);
+            }
+        }
+
+        // Temp files never recorded in the journal were still being written
+        const tempPrefix = `${filename}.tmp.`;
+        for (const name of fs.readdirSync(dataDir)) {
+            if (name.startsWith(tempPrefix)) {
+                fs.unlinkSync(path.join(dataDir, name));
+                console.warn(`Rolled back incomplete write ${name}`);
+            }
+        }
+
+        if (fs.existsSync(journal)) {
+            fs.unlinkSync(journal);
+        }
+    }
+
+    /**
+     * Run fn while holding the collection's on-disk lock
+     */
+    async function withLock(filename, fn) {
+        const lock = await fileLock.acquire(path.join(dataDir, `${filename}.lock`));
+
+        try {
+            if (lock.tookOver || !recovered.has(filename)) {
+                recover(filename);
+                recovered.add(filename);
+            }
+            return await fn();
+        } finally {
+            fileLock.release(lock);
+        }
+    }
+
+    /**
+     * Identify the current version of a collection file. Every commit renames
+     * a new file into place, so the inode changes on each write.
+     */
+    function fileStamp(filepath) {
+        try {
+            const stats = fs.statSync(filepath);
+            return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function indexKey(record, field) {
+        return record[field] === undefined ? null : record[field];
+    }
+
+    function indexRecord(entry, record) {
+        if (!entry.order.has(record)) {
+            entry.order.set(record, entry.nextOrder++);
+        }
+        for (const field of INDEXED_FIELDS) {
+            const index = entry.indexes[field];
+            const key = indexKey(record, field);
+            if (!index.has(key)) {
+                index.set(key, new Set());
+            }
+            index.get(key).add(record);
+        }
+    }
+
+    function unindexRecord(entry, record) {
+        for (const field of INDEXED_FIELDS) {
+            const index = entry.indexes[field];
+            const key = indexKey(record, field);
+            const records = index.get(key);
+            if (records) {
+                records.delete(record);
+                if (records.size === 0) {
+                    index.delete(key);
+                }
+            }
+        }
+    }
+
+    function createEntry(stamp, data) {
+        const entry = { stamp, data, indexes: {}, order: new Map(), nextOrder: 0 };
+        for (const field of INDEXED_FIELDS) {
+            entry.indexes[field] = new Map();
+        }
+        data.forEach(record => indexRecord(entry, record));
+        return entry;
+    }
+
+    /**
+     * Get a collection from the cache, re-reading the file if it changed
+     */
+    function load(filename) {
+        const filepath = path.join(dataDir, filename);
+        const stamp = fileStamp(filepath);
+        const cached = cache.get(filename);
+
+        if (cached && cached.stamp === stamp) {
+            return cached;
+        }
+
+        let data = [];
+        if (stamp) {
+            try {
+                data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+            } catch (error) {
+                // Same fallback as read(): treat an unreadable file as empty,
+                // but don't cache it
+                console.error(`Error reading ${filename}:`, error);
+                cache.delete(filename);
+                const entry = createEntry(null, []);
+                entry.uncached = true;
+                return entry;
+            }
+        }
+
+        const entry = createEntry(stamp, data);
+        cache.set(filename, entry);
+        return entry;
+    }
+
+    /**
+     * Copy a record the way it would round-trip through the file
+     */
+    function copy(record) {
+        return record === undefined ? undefined : JSON.parse(JSON.stringify(record));
+    }
+
+    /**
+     * Persist a cached collection after changing it. Must hold the lock.
+     */
+    function save(filename, entry) {
+        try {
+            commit(filename, entry.data);
+        } catch (error) {
+            cache.delete(filename);
+            throw error;
+        }
+
+        if (entry.uncached) {
+            cache.delete(filename);
+        } else {
+            entry.stamp = fileStamp(path.join(dataDir, filename));
+        }
+    }
+
+    /**
+     * Read data from a JSON file
+     */
+    async function read(filename, defaultValue = []) {
+        const filepath = path.join(dataDir, filename);
+
+        try {
+            if (!fs.existsSync(filepath)) {
+                return defaultValue;
+            }
+
+            const data = fs.readFileSync(filepath, 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            console.error(`Error reading ${filename}:`, error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Write data to a JSON file through the journal. Must hold the lock.
+     */
+    function commit(filename, data) {
+        const filepath = path.join(dataDir, filename);
+        const txn = `${process.pid}.${Date.now()}.${++txnCounter}`;
+        const tempName = `${filename}.tmp.${txn}`;
+        const tempPath = path.join(dataDir, tempName);
+
+        try {
+            // Write and flush the temp file before the journal refers to it
+            const fd = fs.openSync(tempPath, 'w');
+            try {
+                fs.writeSync(fd, JSON.stringify(data, null, 2));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+
+            appendJournal(filename, { op: 'prepare', txn, temp: tempName, at: new Date().toISOString() });
+
+            // Rename temp file to actual file (atomic operation)
+            fs.renameSync(tempPath, filepath);
+
+            appendJournal(filename, { op: 'commit', txn });
+        } catch (error) {
+            console.error(`Error writing ${filename}:`, error);
+            // Clean up temp file if it exists
+            if (fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+            try {
+                appendJournal(filename, { op: 'abort', txn });
+            } catch (journalError) {
+                // Recovery treats the missing temp file as already resolved
+            }
+            throw error;
+        }
+
+        const journal = journalPath(filename);
+        if (fs.statSync(journal).size > JOURNAL_CHECKPOINT_BYTES) {
+            fs.unlinkSync(journal);
+        }
+    }
+
+    /**
+     * Write data to a JSON file atomically
+     */
+    async function write(filename, data) {
+        return withLock(filename, () => {
+            cache.delete(filename);
+            commit(filename, data);
+        });
+    }
+
+    async function findOne(filename, predicate) {
+        return copy(load(filename).data.find(predicate));
+    }
+
+    async function findMany(filename, predicate) {
+        return load(filename).data.filter(predicate).map(copy);
+    }
+
+    /**
+     * Records matching { field: value } pairs in insertion order, narrowing
+     * the scan with the smallest index that applies
+     */
+    function matching(entry, where) {
+        let candidates = null;
+
+        for (const field of Object.keys(where)) {
+            if (!entry.indexes[field]) {
+                continue;
+            }
+            const records = entry.indexes[field].get(where[field] === undefined ? null : where[field]) || new Set();
+            if (!candidates || records.size < candidates.size) {
+                candidates = records;
+            }
+        }
+
+        const scanned = candidates
+            ? [...candidates].sort((a, b) => entry.order.get(a) - entry.order.get(b))
+            : entry.data;
+
+        return scanned.filter(record => matches(record, where));
+    }
+
+    /**
+     * First record matching a predicate or a { field: value } query
+     */
+    function first(entry, where) {
+        return typeof where === 'function' ? entry.data.find(where) : matching(entry, where)[0];
+    }
+
+    async function query(filename, where, options = {}) {
+        return applyOptions(matching(load(filename), where), options).map(copy);
+    }
+
+    async function insert(filename, item) {
+        await insertMany(filename, [item]);
+        return item;
+    }
+
+    async function insertMany(filename, items) {
+        if (items.length === 0) {
+            return items;
+        }
+
+        return withLock(filename, async () => {
+            const entry = load(filename);
+            for (const item of items) {
+                const record = copy(item);
+                entry.data.push(record);
+                indexRecord(entry, record);
+            }
+            save(filename, entry);
+            return items;
+        });
+    }
+
+    async function update(filename, where, updates) {
+        const [record] = await updateMany(filename, [{ where, updates }]);
+        return record;
+    }
+
+    /**
+     * Apply several { where, updates } changes in one write
+     */
+    async function updateMany(filename, changes) {
+        return withLock(filename, async () => {
+            const entry = load(filename);
+            const updated = changes.map(({ where, updates }) => {
+                const record = first(entry, where);
+
+                if (!record) {
+                    return null;
+                }
+
+                unindexRecord(entry, record);
+                Object.assign(record, copy(updates));
+                indexRecord(entry, record);
+                return copy(record);
+            });
+
+            if (updated.some(Boolean)) {
+                save(filename, entry);
+            }
+            return updated;
+        });
+    }
+
+    async function remove(filename, where) {
+        return withLock(filename, async () => {
+            const entry = load(filename);
+            const records = new Set(typeof where === 'function' ? entry.data.filter(where) : matching(entry, where));
+
+            if (records.size === 0) {
+                return false;
+            }
+
+            for (const record of records) {
+                unindexRecord(entry, record);
+                entry.order.delete(record);
+            }
+            entry.data = entry.data.filter(record => !records.has(record));
+            save(filename, entry);
+            return true;
+        });
+    }
+
+    async function close() {}
+
+    return {
+        name: 'json',
+        read,
+        write,
+        findOne,
+        findMany,
+        query,
+        insert,
+        insertMany,
+        update,
+        updateMany,
+        remove,
+        close
+    };
+}
+
+module.exports = { createDriver };
@@ -0,0 +1,72 @@
+/**
+ * Declarative Query Helpers
+ * Shared by the storage drivers to evaluate { field: value } queries
+ * with sort, skip, limit and projection options.
+ */
+
+// Fields every driver keeps an index on
+const INDEXED_FIELDS = ['id', 'userId', 'status', 'createdAt'];
+
+/**
+ * Check whether a record matches every field of a query
+ */
+function matches(record, where) {
+    return Object.entries(where).every(([field, value]) => {
+        const actual = record[field] === undefined ? null : record[field];
+        return actual === (value === undefined ? null : value);
+    });
+}
+
+/**
+ * Build a comparator for { field, order } (same ordering as paginate)
+ */
+function comparator(sort) {
+    return (a, b) => {
+        if (sort.order === 'desc') {
+            return b[sort.field] > a[sort.field] ? 1 : -1;
+        }
+        return a[sort.field] > b[sort.field] ? 1 : -1;
+    };
+}
+
+/**
+ * Keep only the listed fields of a record
+ */
+function project(record, fields) {
+    const projected = {};
+    for (const field of fields) {
+        if (record[field] !== undefined) {
+            projected[field] = record[field];
+        }
+    }
+    return projected;
+}
+
+/**
+ * Apply sort, skip, limit and fields options to matched records
+ * @param {Array} records - Matched records (not modified)
+ * @param {Object} options - { sort: { field, order }, skip, limit, fields }
+ */
+function applyOptions(records, options = {}) {
+    let result = records;
+
+    if (options.sort) {
+        result = [...result].sort(comparator(options.sort));
+    }
+    if (options.skip || options.limit) {
+        const start = options.skip || 0;
+        result = result.slice(start, options.limit ? start + options.limit : undefined);
+    }
+    if (options.fields) {
+        result = result.map(record => project(record, options.fields));
+    }
+
+    return result;
+}
+
+module.exports = {
+    INDEXED_FIELDS,
+    matches,
+    comparator,
+    applyOptions
+};
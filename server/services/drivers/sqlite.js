@@ -0,0 +1,276 @@
+/**
+ * SQLite Storage Driver
+ * Stores each collection in its own table, one row per document, with the
+ * INDEXED_FIELDS copied into indexed columns for declarative queries.
+ */
+
+const path = require('path');
+const { INDEXED_FIELDS, matches, applyOptions } = require('./query');
+
+let Database = null;
+try {
+    Database = require('better-sqlite3');
+} catch (error) {
+    // Optional dependency; createDriver reports it when the driver is selected
+}
+
+/**
+ * Map a collection filename (e.g. "users.json") to a table name
+ */
+function tableName(filename) {
+    const name = filename.replace(/\.json$/, '');
+    if (!/^[A-Za-z0-9_]+$/.test(name)) {
+        throw new Error(`Invalid collection name: ${filename}`);
+    }
+    return name;
+}
+
+/**
+ * Create a SQLite driver
+ * @param {Object} options
+ * @param {string} options.dataDir - Directory holding the database file
+ * @param {string} [options.filename] - Database file path, relative to dataDir
+ */
+function createDriver({ dataDir, filename = 'act.db' }) {
+    if (!Database) {
+        throw new Error('The sqlite storage driver requires the better-sqlite3 package');
+    }
+
+    // Wait up to 10s for other processes holding the write lock
+    const db = new Database(path.resolve(dataDir, filename), { timeout: 10000 });
+    db.pragma('journal_mode = WAL');
+
+    // Prepared statements per table, created on first use
+    const tables = new Map();
+
+    function hasTable(name) {
+        return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+    }
+
+    /**
+     * Get (and create if needed) the statements for a collection
+     */
+    function collection(filename) {
+        const name = tableName(filename);
+        if (tables.has(name)) {
+            return tables.get(name);
+        }
+
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS "${name}" (
+                seq INTEGER PRIMARY KEY,
+                ${INDEXED_FIELDS.map(field => `"${field}" TEXT,`).join(' ')}
+                data TEXT NOT NULL
+            );
+        `);
+
+        // Tables created by older versions may lack some indexed columns
+        const existing = new Set(db.prepare(`PRAGMA table_info("${name}")`).all().map(column => column.name));
+        for (const field of INDEXED_FIELDS) {
+            if (!existing.has(field)) {
+                db.exec(`ALTER TABLE "${name}" ADD COLUMN "${field}" TEXT`);
+                db.prepare(`UPDATE "${name}" SET "${field}" = json_extract(data, ?)`).run(`$.${field}`);
+            }
+            db.exec(`CREATE INDEX IF NOT EXISTS "${name}_${field}" ON "${name}" ("${field}")`);
+        }
+
+        const columnList = INDEXED_FIELDS.map(field => `"${field}"`).join(', ');
+        const statements = {
+            name,
+            all: db.prepare(`SELECT seq, data FROM "${name}" ORDER BY seq`),
+            insert: db.prepare(`INSERT INTO "${name}" (${columnList}, data) VALUES (${INDEXED_FIELDS.map(() => '?').join(', ')}, ?)`),
+            update: db.prepare(`UPDATE "${name}" SET ${INDEXED_FIELDS.map(field => `"${field}" = ?`).join(', ')}, data = ? WHERE seq = ?`),
+            remove: db.prepare(`DELETE FROM "${name}" WHERE seq = ?`),
+            clear: db.prepare(`DELETE FROM "${name}"`),
+            queries: new Map()
+        };
+        tables.set(name, statements);
+        return statements;
+    }
+
+    function columnValue(value) {
+        return value !== undefined && value !== null ? String(value) : null;
+    }
+
+    function columns(item) {
+        return [
+            ...INDEXED_FIELDS.map(field => columnValue(item[field])),
+            JSON.stringify(item)
+        ];
+    }
+
+    /**
+     * Scan a collection in insertion order until the predicate matches
+     */
+    function scan(statements, predicate) {
+        for (const row of statements.all.iterate()) {
+            const item = JSON.parse(row.data);
+            if (predicate(item)) {
+                return { seq: row.seq, item };
+            }
+        }
+        return null;
+    }
+
+    async function read(filename, defaultValue = []) {
+        try {
+            if (!hasTable(tableName(filename))) {
+                return defaultValue;
+            }
+            return collection(filename).all.all().map(row => JSON.parse(row.data));
+        } catch (error) {
+            console.error(`Error reading ${filename}:`, error);
+            return defaultValue;
+        }
+    }
+
+    async function write(filename, data) {
+        const statements = collection(filename);
+        const replaceAll = db.transaction((items) => {
+            statements.clear.run();
+            for (const item of items) {
+                statements.insert.run(...columns(item));
+            }
+        });
+
+        try {
+            replaceAll.immediate(data);
+        } catch (error) {
+            console.error(`Error writing ${filename}:`, error);
+            throw error;
+        }
+    }
+
+    async function findOne(filename, predicate) {
+        const match = scan(collection(filename), predicate);
+        return match ? match.item : undefined;
+    }
+
+    async function findMany(filename, predicate) {
+        return collection(filename).all.all()
+            .map(row => JSON.parse(row.data))
+            .filter(predicate);
+    }
+
+    /**
+     * Rows matching { field: value } pairs, in insertion order. Indexed
+     * fields are filtered in SQL; every row is still checked against the
+     * full query.
+     */
+    function select(statements, where) {
+        const conditions = [];
+        const params = [];
+
+        for (const [field, value] of Object.entries(where)) {
+            if (!INDEXED_FIELDS.includes(field)) {
+                continue;
+            }
+            if (value === undefined || value === null) {
+                conditions.push(`"${field}" IS NULL`);
+            } else {
+                conditions.push(`"${field}" = ?`);
+                params.push(columnValue(value));
+            }
+        }
+
+        const sql = `SELECT seq, data FROM "${statements.name}"` +
+            (conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '') +
+            ' ORDER BY seq';
+
+        if (!statements.queries.has(sql)) {
+            statements.queries.set(sql, db.prepare(sql));
+        }
+
+        return statements.queries.get(sql).all(...params)
+            .map(row => ({ seq: row.seq, item: JSON.parse(row.data) }))
+            .filter(row => matches(row.item, where));
+    }
+
+    /**
+     * First row matching a predicate or a { field: value } query
+     */
+    function first(statements, where) {
+        return typeof where === 'function' ? scan(statements, where) : select(statements, where)[0] || null;
+    }
+
+    async function query(filename, where, options = {}) {
+        return applyOptions(select(collection(filename), where).map(row => row.item), options);
+    }
+
+    async function insert(filename, item) {
+        collection(filename).insert.run(...columns(item));
+        return item;
+    }
+
+    async function insertMany(filename, items) {
+        const statements = collection(filename);
+
+        db.transaction(() => {
+            for (const item of items) {
+                statements.insert.run(...columns(item));
+            }
+        }).immediate();
+        return items;
+    }
+
+    async function update(filename, where, updates) {
+        const [record] = await updateMany(filename, [{ where, updates }]);
+        return record;
+    }
+
+    // Read-modify-write runs in an IMMEDIATE transaction so other
+    // processes sharing the database can't interleave their own writes
+    async function updateMany(filename, changes) {
+        const statements = collection(filename);
+
+        return db.transaction(() => changes.map(({ where, updates }) => {
+            const match = first(statements, where);
+
+            if (!match) {
+                return null;
+            }
+
+            const updated = { ...match.item, ...updates };
+            statements.update.run(...columns(updated), match.seq);
+            return updated;
+        })).immediate();
+    }
+
+    async function remove(filename, where) {
+        const statements = collection(filename);
+
+        return db.transaction(() => {
+            const rows = typeof where === 'function'
+                ? statements.all.all().filter(row => where(JSON.parse(row.data)))
+                : select(statements, where);
+
+            for (const row of rows) {
+                statements.remove.run(row.seq);
+            }
+            return rows.length > 0;
+        }).immediate();
+    }
+
+    async function close() {
+        if (db.open) {
+            db.close();
+        }
+    }
+
+    return {
+        name: 'sqlite',
+        read,
+        write,
+        findOne,
+        findMany,
+        query,
+        insert,
+        insertMany,
+        update,
+        updateMany,
+        remove,
+        close
+    };
+}
+
+module.exports = { createDriver };
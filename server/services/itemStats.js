@@ -0,0 +1,262 @@
+/**
+ * Item Statistics Service
+ * Classical item analysis of question bank items from the answers students
+ * gave in completed fixed-form quizzes and tests. Adaptive quizzes are left
+ * out: they pick each item to suit the student, which skews both measures.
+ *
+ *   - p-value: share of students who answered correctly (omits count as wrong)
+ *   - point-biserial: correlation between getting the item right and the
+ *     rest of the attempt's score (quiz, or test section, without the item)
+ *   - choice counts: how often each option, including the key, was picked
+ *
+ * Items with at least ITEM_STATS_MIN_RESPONSES responses are flagged when
+ * they look broken, and their AI-labeled difficulty is replaced with one
+ * from the p-value (the label is kept as labeledDifficulty). Flagged items
+ * are no longer drawn from the bank.
+ *
+ * The aggregation runs as an "itemStats" job every ITEM_STATS_INTERVAL_HOURS
+ * and when an admin asks for it. Like backups, only the first pm2 instance
+ * runs the schedule.
+ */
+
+const storage = require('./storage');
+const jobs = require('./jobs');
+
+const MIN_RESPONSES = parseInt(process.env.ITEM_STATS_MIN_RESPONSES || '20', 10);
+const INTERVAL_HOURS = parseFloat(process.env.ITEM_STATS_INTERVAL_HOURS || '24');
+
+// Lowest p-value of each difficulty, in the vocabulary the item was labeled with
+const QUIZ_BANDS = [[0.75, 'Beginner'], [0.45, 'Intermediate'], [0, 'Advanced']];
+const TEST_BANDS = [[0.8, 'easy'], [0.65, 'easy to medium'], [0.45, 'medium'], [0.3, 'medium to hard'], [0, 'hard']];
+const QUIZ_LABELS = ['beginner', 'intermediate', 'advanced', 'mixed'];
+
+const FLAGS = {
+    negative_discrimination: 'Students who do well overall get it wrong more often than those who don\'t',
+    low_discrimination: 'Barely separates stronger from weaker students',
+    key_never_chosen: 'Nobody picks the answer marked correct',
+    distractor_beats_key: 'A wrong option is picked more often than the key; it may be miskeyed'
+};
+
+let scheduleTimer = null;
+
+/**
+ * Answers to bank items from every completed fixed-form quiz and test section
+ * @returns {Promise<Array<Array<Object>>>} - One list of { bankId, chosen, key } per attempt
+ */
+async function collectAttempts() {
+    const attempts = [];
+
+    const quizzes = await storage.findMany('quizzes.json', { status: 'completed' }, { fields: ['questions', 'answers', 'adaptive'] });
+    for (const quiz of quizzes.filter(q => !q.adaptive)) {
+        attempts.push((quiz.questions || []).map(q => ({
+            bankId: q.bankId,
+            chosen: (quiz.answers || {})[q.id] || null,
+            key: q.correctAnswer
+        })));
+    }
+
+    const tests = await storage.findMany('tests.json', { status: 'completed' }, { fields: ['id', 'sections'] });
+    for (const test of tests) {
+        for (const section of Object.values(test.sections || {})) {
+            if (section.status !== 'completed') {
+                continue;
+            }
+            attempts.push((section.passages || []).flatMap(p => p.questions).map(q => ({
+                bankId: q.bankId,
+                chosen: (section.answers || {})[q.id] || null,
+                key: q.correctAnswer
+            })));
+        }
+    }
+
+    return attempts.filter(attempt => attempt.some(response => response.bankId));
+}
+
+/**
+ * Point-biserial correlation of item scores (0/1) with rest scores
+ * @param {Array<Object>} responses - [{ correct, rest }]
+ * @returns {number|null} - null when it isn't defined (everyone right, wrong or tied)
+ */
+function pointBiserial(responses) {
+    const n = responses.length;
+    const right = responses.filter(r => r.correct);
+    const p = right.length / n;
+    if (n < 2 || p === 0 || p === 1) {
+        return null;
+    }
+
+    const mean = responses.reduce((sum, r) => sum + r.rest, 0) / n;
+    const sd = Math.sqrt(responses.reduce((sum, r) => sum + (r.rest - mean) ** 2, 0) / n);
+    if (sd === 0) {
+        return null;
+    }
+
+    const wrong = responses.filter(r => !r.correct);
+    const meanRight = right.reduce((sum, r) => sum + r.rest, 0) / right.length;
+    const meanWrong = wrong.reduce((sum, r) => sum + r.rest, 0) / wrong.length;
+
+    return (meanRight - meanWrong) / sd * Math.sqrt(p * (1 - p));
+}
+
+/**
+ * Difficulty for a p-value, in the vocabulary of the item's label
+ */
+function empiricalDifficulty(pValue, labeled) {
+    const bands = QUIZ_LABELS.includes(String(labeled || '').toLowerCase()) ? QUIZ_BANDS : TEST_BANDS;
+    return bands.find(([min]) => pValue >= min)[1];
+}
+
+function flagsFor(stats, key) {
+    const flags = [];
+    const keyCount = stats.choices[key] || 0;
+
+    if (stats.pointBiserial !== null && stats.pointBiserial < 0) {
+        flags.push('negative_discrimination');
+    } else if (stats.pointBiserial !== null && stats.pointBiserial < 0.15) {
+        flags.push('low_discrimination');
+    }
+    if (keyCount === 0) {
+        flags.push('key_never_chosen');
+    } else if (Object.entries(stats.choices).some(([choice, count]) => choice !== key && count > keyCount)) {
+        flags.push('distractor_beats_key');
+    }
+
+    return flags;
+}
+
+/**
+ * Compute statistics for every bank item that has responses
+ * @returns {Map<string, Object>} - bankId -> stats
+ */
+function compute(attempts) {
+    const responsesByItem = new Map();
+
+    for (const attempt of attempts) {
+        const total = attempt.filter(r => r.chosen === r.key).length;
+
+        for (const response of attempt.filter(r => r.bankId)) {
+            const correct = response.chosen === response.key;
+            const rest = attempt.length > 1 ? (total - (correct ? 1 : 0)) / (attempt.length - 1) : 0;
+
+            const item = responsesByItem.get(response.bankId) || { key: response.key, responses: [] };
+            item.responses.push({ chosen: response.chosen, correct, rest });
+            responsesByItem.set(response.bankId, item);
+        }
+    }
+
+    const results = new Map();
+    for (const [bankId, { key, responses }] of responsesByItem) {
+        const choices = {};
+        for (const response of responses.filter(r => r.chosen)) {
+            choices[response.chosen] = (choices[response.chosen] || 0) + 1;
+        }
+
+        const correct = responses.filter(r => r.correct).length;
+        const discrimination = pointBiserial(responses);
+        const stats = {
+            responses: responses.length,
+            correct,
+            omitted: responses.filter(r => !r.chosen).length,
+            pValue: Math.round(correct / responses.length * 1000) / 1000,
+            pointBiserial: discrimination === null ? null : Math.round(discrimination * 1000) / 1000,
+            choices,
+            flags: [],
+            calibrated: responses.length >= MIN_RESPONSES,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (stats.calibrated) {
+            stats.flags = flagsFor(stats, key);
+        }
+
+        results.set(bankId, stats);
+    }
+
+    return results;
+}
+
+/**
+ * Aggregate responses and save statistics onto the bank items
+ * @param {Object} context - Job context (see services/jobs)
+ */
+async function aggregate(context) {
+    await context.progress(0, 3, 'Collecting responses');
+    const attempts = await collectAttempts();
+
+    await context.progress(1, 3, `Analyzing ${attempts.length} attempts`);
+    const results = compute(attempts);
+
+    await context.progress(2, 3, `Saving statistics for ${results.size} items`);
+    const items = await storage.findMany('question_bank.json', {}, { fields: ['id', 'difficulty', 'labeledDifficulty'] });
+    const changes = [];
+    let flagged = 0;
+    let calibrated = 0;
+    for (const item of items.filter(item => results.has(item.id))) {
+        const stats = results.get(item.id);
+        const labeledDifficulty = item.labeledDifficulty !== undefined ? item.labeledDifficulty : item.difficulty;
+        const updates = { stats, labeledDifficulty };
+        if (stats.calibrated) {
+            updates.difficulty = empiricalDifficulty(stats.pValue, labeledDifficulty);
+            calibrated++;
+        }
+        if (stats.flags.length > 0) {
+            flagged++;
+        }
+
+        changes.push({ where: { id: item.id }, updates });
+    }
+
+    context.signal.throwIfAborted();
+    await storage.updateMany('question_bank.json', changes);
+
+    return { attempts: attempts.length, items: results.size, calibrated, flagged };
+}
+
+jobs.register('itemStats', (job, context) => aggregate(context));
+
+/**
+ * Queue an aggregation unless one is already waiting or running
+ * @returns {Promise<Object>} - The queued (or already pending) job
+ */
+async function enqueue(userId = null) {
+    const pending = await storage.findOne('jobs.json',
+        j => j.type === 'itemStats' && ['queued', 'running'].includes(j.status)
+    );
+    if (pending) {
+        return jobs.toPublic(pending);
+    }
+    return jobs.enqueue('itemStats', userId, {});
+}
+
+/**
+ * Queue an aggregation every ITEM_STATS_INTERVAL_HOURS
+ */
+function startSchedule() {
+    const instance = process.env.NODE_APP_INSTANCE;
+    if (INTERVAL_HOURS <= 0 || (instance !== undefined && instance !== '0') || scheduleTimer) {
+        return;
+    }
+
+    scheduleTimer = setInterval(() => {
+        enqueue().catch(error => console.error('Failed to queue item statistics:', error));
+    }, INTERVAL_HOURS * 60 * 60 * 1000);
+    scheduleTimer.unref();
+}
+
+function stopSchedule() {
+    if (scheduleTimer) {
+        clearInterval(scheduleTimer);
+        scheduleTimer = null;
+    }
+}
+
+module.exports = {
+    FLAGS,
+    MIN_RESPONSES,
+    compute,
+    pointBiserial,
+    empiricalDifficulty,
+    enqueue,
+    startSchedule,
+    stopSchedule
+};
@@ -0,0 +1,315 @@
+/**
+ * Job Queue Service
+ * Persistent background jobs for long-running AI generation.
+ *
+ * Jobs are stored in jobs.json, so they outlive the request that created
+ * them and the process that ran them. Route modules register a handler per
+ * job type; the worker picks queued jobs up in creation order. Handlers get
+ * a context with an AbortSignal (set when the job is cancelled), progress()
+ * to report e.g. "section 2 of 4", and checkpoint() to save partial work.
+ *
+ * A job that was running when the server stopped is queued again on the
+ * next start and its handler sees the last checkpoint in job.state.
+ *
+ * Like backups, only the first pm2 instance runs the worker; the others
+ * just enqueue.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+const POLL_MS = parseInt(process.env.JOB_POLL_MS || '1000', 10);
+const RETENTION_DAYS = parseFloat(process.env.JOB_RETENTION_DAYS || '7');
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+const handlers = {};
+
+// Jobs running in this process: id -> AbortController
+const running = new Map();
+
+let pollTimer = null;
+let ticking = false;
+let lastPrune = 0;
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - e.g. "lesson"
+ * @param {Function} handler - async (job, context) => result
+ */
+function register(type, handler) {
+    handlers[type] = handler;
+}
+
+/**
+ * Strip internal fields from a job before returning it to a client
+ */
+function toPublic(job) {
+    if (!job) {
+        return job;
+    }
+    const { state, ...rest } = job;
+    return rest;
+}
+
+/**
+ * Queue a job
+ * @param {string} type - Registered job type
+ * @param {string} userId - Owner of the job
+ * @param {Object} params - Handler input
+ * @returns {Promise<Object>} - The queued job
+ */
+async function enqueue(type, userId, params) {
+    if (!handlers[type]) {
+        throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+        id: uuidv4(),
+        userId,
+        type,
+        status: 'queued', // queued, running, completed, failed, cancelled
+        params,
+        progress: { current: 0, total: null, message: 'Queued' },
+        state: {},
+        result: null,
+        error: null,
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null
+    };
+
+    await storage.insert('jobs.json', job);
+
+    if (pollTimer) {
+        setImmediate(tick);
+    }
+
+    return toPublic(job);
+}
+
+function update(where, updates) {
+    return storage.update('jobs.json', where, { ...updates, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Get one of a user's jobs
+ */
+async function getJob(jobId, userId) {
+    return toPublic(await storage.findOne('jobs.json', { id: jobId, userId }));
+}
+
+/**
+ * List a user's jobs, newest first
+ * @param {Object} filter - { status, type }
+ */
+async function listJobs(userId, filter = {}) {
+    const where = { userId };
+    if (filter.status) where.status = filter.status;
+    if (filter.type) where.type = filter.type;
+
+    const jobs = await storage.findMany('jobs.json', where, {
+        sort: { field: 'createdAt', order: 'desc' },
+        limit: 50
+    });
+    return jobs.map(toPublic);
+}
+
+/**
+ * Cancel a queued or running job
+ * @returns {Promise<Object|null>} - The job, or null if the user has no such job
+ */
+async function cancel(jobId, userId) {
+    const job = await storage.findOne('jobs.json', { id: jobId, userId });
+    if (!job) {
+        return null;
+    }
+
+    if (FINISHED.includes(job.status)) {
+        return toPublic(job);
+    }
+
+    const cancelled = await update({ id: jobId }, {
+        status: 'cancelled',
+        completedAt: new Date().toISOString()
+    });
+
+    // Running elsewhere, the worker notices on its next poll
+    if (running.has(jobId)) {
+        running.get(jobId).abort();
+    }
+
+    return toPublic(cancelled);
+}
+
+/**
+ * Run one job to completion
+ */
+async function run(job) {
+    const controller = new AbortController();
+    running.set(job.id, controller);
+
+    try {
+        // Only claim it if it wasn't cancelled in the meantime
+        const claimed = await update({ id: job.id, status: 'queued' }, {
+            status: 'running',
+            startedAt: job.startedAt || new Date().toISOString(),
+            attempts: job.attempts + 1
+        });
+        if (!claimed) {
+            return;
+        }
+
+        let total = claimed.progress.total;
+        const context = {
+            signal: controller.signal,
+            progress: (current, jobTotal, message) => {
+                total = jobTotal;
+                return update({ id: job.id }, { progress: { current, total, message } });
+            },
+            checkpoint: (state) => {
+                claimed.state = { ...claimed.state, ...state };
+                return update({ id: job.id }, { state: claimed.state });
+            }
+        };
+
+        const result = await handlers[job.type](claimed, context);
+
+        if (controller.signal.aborted) {
+            return;
+        }
+
+        await update({ id: job.id, status: 'running' }, {
+            status: 'completed',
+            result,
+            progress: { current: total, total, message: 'Done' },
+            completedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        // Cancelled, or the server is shutting down (the job resumes on restart)
+        if (controller.signal.aborted) {
+            return;
+        }
+
+        console.error(`Job ${job.id} (${job.type}) failed:`, error);
+        await update({ id: job.id, status: 'running' }, {
+            status: 'failed',
+            error: error.message,
+            completedAt: new Date().toISOString()
+        });
+    } finally {
+        running.delete(job.id);
+        if (pollTimer) {
+            setImmediate(tick);
+        }
+    }
+}
+
+/**
+ * Delete finished jobs older than JOB_RETENTION_DAYS
+ */
+async function prune() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    for (const status of FINISHED) {
+        const old = await storage.findMany('jobs.json', { status }, { fields: ['id', 'completedAt'] });
+        for (const job of old.filter(j => j.completedAt && j.completedAt < cutoff)) {
+            await storage.remove('jobs.json', { id: job.id });
+        }
+    }
+}
+
+/**
+ * Start queued jobs while there are free slots, and abort running jobs that
+ * were cancelled from another process
+ */
+async function tick() {
+    if (ticking) {
+        return;
+    }
+    ticking = true;
+
+    try {
+        for (const [jobId, controller] of running) {
+            const job = await storage.findOne('jobs.json', { id: jobId });
+            if (!job || job.status === 'cancelled') {
+                controller.abort();
+            }
+        }
+
+        const slots = CONCURRENCY - running.size;
+        if (slots > 0) {
+            const queued = await storage.findMany('jobs.json', { status: 'queued' }, {
+                sort: { field: 'createdAt', order: 'asc' },
+                limit: slots
+            });
+            for (const job of queued) {
+                if (!running.has(job.id)) {
+                    run(job);
+                }
+            }
+        }
+
+        if (Date.now() - lastPrune > 60 * 60 * 1000) {
+            lastPrune = Date.now();
+            await prune();
+        }
+    } catch (error) {
+        console.error('Job worker error:', error);
+    } finally {
+        ticking = false;
+    }
+}
+
+/**
+ * Start the worker, first re-queueing jobs interrupted by a restart
+ */
+async function start() {
+    const instance = process.env.NODE_APP_INSTANCE;
+    if ((instance !== undefined && instance !== '0') || pollTimer) {
+        return;
+    }
+
+    const interrupted = await storage.findMany('jobs.json', { status: 'running' });
+    for (const job of interrupted) {
+        await update({ id: job.id }, {
+            status: 'queued',
+            progress: { ...job.progress, message: 'Resuming' }
+        });
+    }
+    if (interrupted.length > 0) {
+        console.log(`Resuming ${interrupted.length} interrupted job(s)`);
+    }
+
+    pollTimer = setInterval(tick, POLL_MS);
+    pollTimer.unref();
+    tick();
+}
+
+/**
+ * Stop the worker. Running jobs are left as "running" so the next start
+ * resumes them.
+ */
+function stop() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+    for (const controller of running.values()) {
+        controller.abort();
+    }
+}
+
+module.exports = {
+    register,
+    enqueue,
+    getJob,
+    listJobs,
+    cancel,
+    start,
+    stop,
+    toPublic,
+    FINISHED
+};
@@ -0,0 +1,151 @@
+/**
+ * Norms Service
+ * National percentile ranks, College Readiness Benchmarks and the STEM and
+ * ELA sub-scores for ACT scale scores.
+ *
+ * Percentiles are the percent of recent ACT-tested high school graduates
+ * who scored at or below a score (rounded from the published national
+ * norms). Scores missing from a table share the rank of the next score
+ * down.
+ */
+
+const NORMS_NOTE = 'Percent of recent ACT-tested high school graduates scoring at or below this score (national norms, approximate)';
+
+const PERCENTILES = {
+    composite: {
+        36: 100, 35: 99, 34: 99, 33: 98, 32: 97, 31: 95, 30: 93, 29: 91, 28: 88, 27: 85,
+        26: 82, 25: 78, 24: 74, 23: 69, 22: 64, 21: 58, 20: 52, 19: 46, 18: 40, 17: 32,
+        16: 24, 15: 15, 14: 7, 13: 2, 12: 1, 1: 1
+    },
+    english: {
+        36: 100, 35: 99, 34: 97, 33: 96, 32: 94, 31: 93, 30: 92, 29: 90, 28: 88, 27: 86,
+        26: 84, 25: 81, 24: 78, 23: 74, 22: 69, 21: 64, 20: 59, 19: 53, 18: 48, 17: 42,
+        16: 37, 15: 32, 14: 27, 13: 22, 12: 17, 11: 11, 10: 6, 9: 3, 8: 1, 1: 1
+    },
+    math: {
+        36: 100, 35: 99, 34: 99, 33: 98, 32: 97, 31: 96, 30: 95, 29: 94, 28: 92, 27: 90,
+        26: 87, 25: 84, 24: 80, 23: 75, 22: 70, 21: 66, 20: 61, 19: 55, 18: 49, 17: 42,
+        16: 32, 15: 19, 14: 7, 13: 2, 12: 1, 1: 1
+    },
+    reading: {
+        36: 100, 35: 98, 34: 97, 33: 95, 32: 93, 31: 91, 30: 89, 29: 87, 28: 84, 27: 82,
+        26: 79, 25: 75, 24: 72, 23: 67, 22: 63, 21: 58, 20: 53, 19: 48, 18: 43, 17: 37,
+        16: 31, 15: 25, 14: 19, 13: 14, 12: 10, 11: 6, 10: 3, 9: 1, 1: 1
+    },
+    science: {
+        36: 100, 35: 99, 34: 98, 33: 97, 32: 96, 31: 95, 30: 94, 29: 92, 28: 90, 27: 88,
+        26: 85, 25: 81, 24: 76, 23: 70, 22: 64, 21: 57, 20: 50, 19: 43, 18: 36, 17: 29,
+        16: 23, 15: 17, 14: 12, 13: 8, 12: 5, 11: 3, 10: 1, 1: 1
+    },
+    stem: {
+        36: 100, 35: 99, 34: 99, 33: 98, 32: 97, 31: 96, 30: 94, 29: 93, 28: 91, 27: 88,
+        26: 85, 25: 82, 24: 78, 23: 73, 22: 68, 21: 62, 20: 56, 19: 49, 18: 42, 17: 34,
+        16: 25, 15: 15, 14: 6, 13: 2, 12: 1, 1: 1
+    },
+    ela: {
+        36: 100, 35: 99, 34: 99, 33: 98, 32: 97, 31: 95, 30: 93, 29: 91, 28: 89, 27: 86,
+        26: 83, 25: 80, 24: 76, 23: 72, 22: 67, 21: 62, 20: 56, 19: 50, 18: 44, 17: 37,
+        16: 30, 15: 22, 14: 15, 13: 9, 12: 5, 11: 2, 10: 1, 1: 1
+    }
+};
+
+// ACT College Readiness Benchmarks: the section score that gives a 50%
+// chance of a B or higher in the matching first-year college course
+const BENCHMARKS = {
+    english: { score: 18, course: 'English Composition' },
+    math: { score: 22, course: 'College Algebra' },
+    reading: { score: 22, course: 'Social Sciences' },
+    science: { score: 23, course: 'Biology' }
+};
+
+/**
+ * Average of scale scores with halves rounded up, like the composite
+ */
+function average(scores) {
+    return Math.floor(scores.reduce((sum, score) => sum + score, 0) / scores.length + 0.5);
+}
+
+/**
+ * Get the national percentile rank of a score
+ * @param {string} scale - composite, english, math, reading, science, stem or ela
+ * @returns {number|null}
+ */
+function percentile(scale, score) {
+    const table = PERCENTILES[scale];
+    if (!table || typeof score !== 'number') {
+        return null;
+    }
+
+    let rank = null;
+    let best = 0;
+    for (const [tableScore, tableRank] of Object.entries(table)) {
+        if (Number(tableScore) <= score && Number(tableScore) > best) {
+            best = Number(tableScore);
+            rank = tableRank;
+        }
+    }
+    return rank;
+}
+
+/**
+ * STEM (math and science) and ELA sub-scores. A sub-score is null unless
+ * all of its sections were taken. The official ELA score also includes the
+ * writing test, which practice tests don't have, so here it averages
+ * English and reading.
+ * @param {Object} sectionScores - { english, math, reading, science } scale scores
+ */
+function subscores(sectionScores) {
+    const has = (section) => typeof sectionScores[section] === 'number';
+
+    return {
+        stem: has('math') && has('science') ? average([sectionScores.math, sectionScores.science]) : null,
+        ela: has('english') && has('reading') ? average([sectionScores.english, sectionScores.reading]) : null
+    };
+}
+
+/**
+ * Build the norms part of a score report
+ * @param {Object} sectionScores - Scale scores of the sections taken
+ * @param {number} compositeScore
+ * @returns {Object} - { percentiles, benchmarks, benchmarksMet, subscores, note }
+ */
+function report(sectionScores, compositeScore) {
+    const { stem, ela } = subscores(sectionScores);
+
+    const percentiles = { composite: percentile('composite', compositeScore) };
+    for (const [section, score] of Object.entries(sectionScores)) {
+        if (PERCENTILES[section]) {
+            percentiles[section] = percentile(section, score);
+        }
+    }
+    if (stem !== null) percentiles.stem = percentile('stem', stem);
+    if (ela !== null) percentiles.ela = percentile('ela', ela);
+
+    const benchmarks = {};
+    for (const [section, benchmark] of Object.entries(BENCHMARKS)) {
+        if (typeof sectionScores[section] === 'number') {
+            benchmarks[section] = {
+                benchmark: benchmark.score,
+                course: benchmark.course,
+                score: sectionScores[section],
+                met: sectionScores[section] >= benchmark.score
+            };
+        }
+    }
+
+    return {
+        percentiles,
+        benchmarks,
+        benchmarksMet: Object.values(benchmarks).filter(b => b.met).length,
+        subscores: { stem, ela },
+        note: NORMS_NOTE
+    };
+}
+
+module.exports = {
+    PERCENTILES,
+    BENCHMARKS,
+    percentile,
+    subscores,
+    report
+};
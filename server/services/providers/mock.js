@@ -0,0 +1,388 @@
+/**
+ * Mock AI Provider
+ * Answers every generator offline with schema-valid payloads, for local
+ * development and automated tests. Selected with AI_PROVIDER=mock.
+ *
+ * Output is seeded from AI_MOCK_SEED and the request messages, so the same
+ * request always gets the same response. Failures can be simulated for
+ * every request through the environment, or for a single request by putting
+ * a directive anywhere in its messages (e.g. in a quiz topic):
+ *
+ *   [mock:latency:2000]   wait 2000ms before answering
+ *   [mock:malformed]      return truncated, unparseable output
+ *   [mock:http:429]       fail like the API answered with that status
+ */
+
+const { abortError } = require('./openai');
+
+const SUBJECTS = ['English', 'Math', 'Reading', 'Science'];
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.int = (min, max) => min + Math.floor(random() * (max - min + 1));
+    random.pick = (items) => items[Math.floor(random() * items.length)];
+    return random;
+}
+
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+function match(text, pattern, fallback) {
+    const found = text.match(pattern);
+    return found ? found[1].trim() : fallback;
+}
+
+function listField(text, label) {
+    return match(text, new RegExp(`${label}: (.*)`), '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Read the reporting categories a prompt lists ("- Name (skills: a; b)")
+ */
+function categories(prompt) {
+    return [...prompt.matchAll(/^- (.+) \(skills: (.+)\)$/gm)]
+        .map(found => ({ name: found[1], skills: found[2].split('; ') }));
+}
+
+/**
+ * Build a multiple-choice question with a random correct answer, tagged
+ * with one of the prompt's reporting categories
+ */
+function question(random, subject, topic, number, tags = []) {
+    const correct = random.int(0, 3);
+    const options = {};
+    LETTERS.forEach((letter, i) => {
+        options[letter] = i === correct
+            ? `Correct answer for ${topic} question ${number}`
+            : `Distractor ${letter} for ${topic} question ${number}`;
+    });
+
+    const result = {
+        question: `Mock ${subject} question ${number} about ${topic}?`,
+        options,
+        correctAnswer: LETTERS[correct],
+        explanation: `Option ${LETTERS[correct]} is correct for mock question ${number}.`
+    };
+
+    if (tags.length > 0) {
+        const category = random.pick(tags);
+        result.category = category.name;
+        result.skill = random.pick(category.skills);
+    }
+
+    return result;
+}
+
+function lesson(prompt) {
+    const subject = match(prompt, /Subject: (.*)/, 'ACT');
+    const topic = match(prompt, /Topic: (.*)/, 'General Review');
+
+    return `# ${topic}
+
+## Learning Objectives
+- Understand the core ideas of ${topic}
+- Apply ${topic} to ACT ${subject} questions
+
+## Introduction
+This is a mock lesson on ${topic} for offline development.
+
+## Examples
+If $x + 2 = 5$, then $x = 3$.
+
+## Practice Problems
+1. Solve $2x = 8$. **Answer:** $x = 4$
+
+## Key Takeaways
+- Read every question carefully
+
+## Summary
+Mock lesson content for ${subject}: ${topic}.`;
+}
+
+function quiz(prompt, random) {
+    const count = parseInt(match(prompt, /Generate (\d+) multiple-choice/, '5'), 10);
+    const subject = match(prompt, /for ACT (\w+)/, 'Math');
+    const topic = match(prompt, /on the topic: (.*)/, 'General');
+
+    return Array.from({ length: count }, (_, i) => question(random, subject, topic, i + 1, categories(prompt)));
+}
+
+function testPassage(prompt, random) {
+    const count = parseInt(match(prompt, /with exactly (\d+) questions/, '10'), 10);
+    const first = parseInt(match(prompt, /numbered (\d+) to/, '1'), 10);
+    const section = match(prompt, /ACT (\w+) section/, 'Mathematics').toLowerCase();
+    const passage = match(prompt, /Generate passage (\d+) of/, '1');
+    const existing = prompt.match(/return it unchanged as "text"\):\n\n([\s\S]*?)\n\n(?:Do not repeat|Format your response)/);
+
+    let text = '';
+    if (existing) {
+        text = existing[1];
+    } else if (section !== 'mathematics') {
+        text = prompt.includes('Passage A')
+            ? `Passage A\n\n${`Mock ${section} passage ${passage}A. `.repeat(6)}\n\nPassage B\n\n${`Mock ${section} passage ${passage}B. `.repeat(6)}`.trim()
+            : `Mock ${section} passage ${passage}. `.repeat(8).trim();
+    }
+
+    return {
+        title: `Mock ${section} passage ${passage}`,
+        text,
+        questions: Array.from({ length: count }, (_, i) =>
+            question(random, section, `passage ${passage}`, first + i, categories(prompt)))
+    };
+}
+
+function studyPlan(prompt, random) {
+    const current = parseInt(match(prompt, /Current Score: (\d+)/, '18'), 10);
+    const target = parseInt(match(prompt, /Target Score: (\d+)/, '26'), 10);
+    const testDate = new Date(match(prompt, /Test Date: (.*)/, ''));
+    const days = listField(prompt, 'Study Days Per Week');
+    const weak = listField(prompt, 'Weak Subjects');
+    const focusSubjects = weak.length > 0 ? weak : SUBJECTS;
+
+    const weeksLeft = isNaN(testDate) ? 4 : Math.ceil((testDate - Date.now()) / (7 * 24 * 60 * 60 * 1000));
+    const totalWeeks = Math.min(Math.max(weeksLeft, 1), 12);
+
+    const weeks = Array.from({ length: totalWeeks }, (_, i) => ({
+        week: i + 1,
+        focus: focusSubjects[i % focusSubjects.length],
+        goals: [`Review ${focusSubjects[i % focusSubjects.length]} fundamentals`, 'Complete a timed practice set'],
+        days: (days.length > 0 ? days : ['Monday', 'Wednesday', 'Friday']).map(day => ({
+            day,
+            tasks: [{
+                time: '6:00 PM - 7:00 PM',
+                subject: random.pick(focusSubjects),
+                activity: 'Mock practice session',
+                resources: ''
+            }]
+        }))
+    }));
+
+    return {
+        summary: `Mock ${totalWeeks}-week plan from ${current} to ${target}.`,
+        totalWeeks,
+        estimatedImprovement: Math.max(target - current, 0),
+        weeks,
+        milestones: [{ week: totalWeeks, milestone: 'Take a full practice test', targetScore: target }]
+    };
+}
+
+function essayGrade(prompt, random) {
+    const essay = (prompt.split('STUDENT ESSAY:')[1] || '').split('Provide scores')[0];
+    const words = essay.split(/\s+/).filter(Boolean).length;
+    const base = Math.min(Math.max(Math.ceil(words / 150) + 1, 1), 6);
+    const domain = () => Math.min(Math.max(base + random.int(-1, 1), 1), 6);
+
+    const scores = {
+        ideasAndAnalysis: domain(),
+        developmentAndSupport: domain(),
+        organization: domain(),
+        languageUse: domain()
+    };
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    scores.overall = Math.round(total / 2);
+
+    return {
+        scores,
+        feedback: {
+            ideasAndAnalysis: 'Mock feedback on ideas and analysis.',
+            developmentAndSupport: 'Mock feedback on development and support.',
+            organization: 'Mock feedback on organization.',
+            languageUse: 'Mock feedback on language use.'
+        },
+        strengths: ['Clear position'],
+        improvements: ['Add more specific examples'],
+        grammarIssues: [],
+        overallComments: `Mock grading of a ${words}-word essay.`
+    };
+}
+
+function flashcards(prompt) {
+    const count = parseInt(match(prompt, /Generate (\d+) flashcards/, '10'), 10);
+    const topic = match(prompt, /on the topic: (.*)/, 'General');
+
+    return Array.from({ length: count }, (_, i) => ({
+        front: `Mock term ${i + 1} for ${topic}`,
+        back: `Mock definition ${i + 1} for ${topic}`,
+        tags: ['mock']
+    }));
+}
+
+function essayPrompt(prompt) {
+    const category = match(prompt, /essay prompt about (.*)\./, 'a contemporary issue');
+
+    return {
+        topic: `Mock prompt about ${category}`,
+        introduction: `People disagree about ${category}.`,
+        perspectives: [
+            { name: 'Perspective One', description: 'It brings more benefits than costs.' },
+            { name: 'Perspective Two', description: 'Its costs outweigh its benefits.' },
+            { name: 'Perspective Three', description: 'Its value depends on how it is used.' }
+        ],
+        instructions: 'Write a unified, coherent essay about the issue, evaluating the perspectives given.'
+    };
+}
+
+function tutorReply(messages) {
+    const question = [...messages].reverse().find(m => m.role === 'user');
+    return `This is a mock tutor reply to: "${question ? question.content.slice(0, 200) : ''}"\n\n` +
+        'Start by identifying what the question asks, then work through it step by step. For example, $2 + 2 = 4$.';
+}
+
+/**
+ * Pick the generator a request came from by its system prompt
+ */
+function respond(messages, random) {
+    const system = messages.find(m => m.role === 'system')?.content || '';
+    const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+
+    if (system.includes('test question writer')) return JSON.stringify(quiz(prompt, random), null, 2);
+    if (system.includes('test creator')) return JSON.stringify(testPassage(prompt, random), null, 2);
+    if (system.includes('study coach')) return JSON.stringify(studyPlan(prompt, random), null, 2);
+    if (system.includes('Writing grader')) return JSON.stringify(essayGrade(prompt, random), null, 2);
+    if (system.includes('study flashcards')) return JSON.stringify(flashcards(prompt), null, 2);
+    if (system.includes('Writing prompt creator')) return JSON.stringify(essayPrompt(prompt), null, 2);
+    if (system.includes('helping students prepare')) return lesson(prompt);
+    return tutorReply(messages);
+}
+
+/**
+ * Read [mock:...] directives from the messages, falling back to the
+ * provider-wide settings
+ */
+function directives(messages, settings, random) {
+    const text = messages.map(m => m.content).join('\n');
+    const result = { latency: settings.latency, failure: null };
+
+    const latency = text.match(/\[mock:latency:(\d+)\]/);
+    if (latency) {
+        result.latency = parseInt(latency[1], 10);
+    }
+
+    const failure = text.match(/\[mock:(malformed|http:\d{3})\]/);
+    if (failure) {
+        result.failure = failure[1];
+    } else if (settings.failure && random() < settings.failureRate) {
+        result.failure = settings.failure;
+    }
+
+    return result;
+}
+
+/**
+ * Create the mock provider
+ * @param {Object} options
+ * @param {number} [options.seed] - Base seed for generated content
+ * @param {number} [options.latency] - Delay before every answer, in ms
+ * @param {string} [options.failure] - 'malformed' or 'http:<status>' to fail requests
+ * @param {number} [options.failureRate] - Share of requests (0-1) that fail
+ */
+function createProvider({ seed = 1, latency = 0, failure = null, failureRate = 1 } = {}) {
+    const settings = { latency, failure, failureRate };
+
+    // Failures are drawn per call (so retries can succeed), content per request
+    const failures = createRandom(seed);
+
+    function chat(modelId, messages, options = {}) {
+        const random = createRandom(seed ^ hashString(modelId + JSON.stringify(messages)));
+        const behavior = directives(messages, settings, failures);
+
+        return new Promise((resolve, reject) => {
+            let streamed = '';
+            let timer = null;
+
+            if (options.signal && options.signal.aborted) {
+                reject(abortError(''));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError(streamed));
+            };
+
+            const finish = (fn) => {
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', onAbort);
+                }
+                fn();
+            };
+
+            if (options.signal) {
+                options.signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            timer = setTimeout(() => {
+                if (behavior.failure && behavior.failure.startsWith('http:')) {
+                    const error = new Error(`API error: ${behavior.failure.slice(5)}`);
+                    error.statusCode = parseInt(behavior.failure.slice(5), 10);
+                    finish(() => reject(error));
+                    return;
+                }
+
+                let content = respond(messages, random);
+                if (behavior.failure === 'malformed') {
+                    content = content.slice(0, Math.floor(content.length / 2));
+                }
+
+                // Roughly four characters per token
+                if (options.onUsage) {
+                    const promptTokens = Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / 4);
+                    const completionTokens = Math.ceil(content.length / 4);
+                    options.onUsage({
+                        prompt_tokens: promptTokens,
+                        completion_tokens: completionTokens,
+                        total_tokens: promptTokens + completionTokens
+                    });
+                }
+
+                if (!options.stream) {
+                    finish(() => resolve(content));
+                    return;
+                }
+
+                // Stream word by word
+                const tokens = content.match(/\S+\s*|\s+/g) || [];
+                const next = () => {
+                    if (tokens.length === 0) {
+                        finish(() => resolve(streamed));
+                        return;
+                    }
+                    const token = tokens.shift();
+                    streamed += token;
+                    if (options.onToken) {
+                        options.onToken(token);
+                    }
+                    timer = setTimeout(next, 10);
+                };
+                next();
+            }, behavior.latency);
+        });
+    }
+
+    return {
+        name: 'mock',
+        chat
+    };
+}
+
+module.exports = { createProvider };
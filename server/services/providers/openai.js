@@ -0,0 +1,277 @@
+/**
+ * OpenAI-Compatible Provider
+ * Talks to any server exposing POST {baseUrl}/chat/completions in the
+ * OpenAI format: Nano-GPT, or a self-hosted llama.cpp / vLLM server on the
+ * LAN. http and https base URLs are both supported.
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Build the error a cancelled request rejects with. partialContent holds
+ * whatever was streamed before the cancel.
+ */
+function abortError(partialContent) {
+    const error = new Error('API request aborted');
+    error.name = 'AbortError';
+    error.partialContent = partialContent;
+    return error;
+}
+
+/**
+ * Build the error for a stream that stopped before its [DONE] marker.
+ * partialContent holds whatever was streamed until then.
+ */
+function interruptedError(reason, partialContent, code) {
+    const error = new Error(`API stream interrupted: ${reason}`);
+    error.partialContent = partialContent;
+    if (code) {
+        error.code = code;
+    }
+    return error;
+}
+
+/**
+ * Build the error for a non-200 response. statusCode and retryAfter (in
+ * seconds, from the Retry-After header) let callers decide whether to retry.
+ */
+function httpError(res, body) {
+    let message = `API error: ${res.statusCode}`;
+    try {
+        message = JSON.parse(body).error?.message || message;
+    } catch (e) {
+        // Not JSON, e.g. an HTML error page from a proxy
+    }
+
+    const error = new Error(message);
+    error.statusCode = res.statusCode;
+    const retryAfter = parseInt(res.headers['retry-after'], 10);
+    if (!isNaN(retryAfter)) {
+        error.retryAfter = retryAfter;
+    }
+    return error;
+}
+
+/**
+ * Build the auth headers for a provider
+ * @param {Object} auth - { scheme: 'bearer' | 'header' | 'none', key, header }
+ */
+function authHeaders(auth = {}) {
+    switch (auth.scheme) {
+        case 'bearer':
+            return { 'Authorization': `Bearer ${auth.key}` };
+        case 'header':
+            return { [auth.header || 'api-key']: auth.key };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} options
+ * @param {string} options.name - Provider name, used in error messages
+ * @param {string} options.baseUrl - API base URL, e.g. http://10.0.0.5:8080/v1
+ * @param {Object} options.auth - { scheme: 'bearer' | 'header' | 'none', key, header }
+ * @param {number} [options.timeout] - Request timeout in ms
+ */
+function createProvider({ name, baseUrl, auth = { scheme: 'none' }, timeout = 300000 }) {
+    const url = new URL(baseUrl.replace(/\/+$/, '') + '/chat/completions');
+    const transport = url.protocol === 'http:' ? http : https;
+
+    /**
+     * Request a chat completion
+     * @param {string} modelId - The provider's model id
+     * @param {Array} messages - Array of message objects with role and content
+     * @param {Object} options - Additional options
+     * @param {boolean} options.stream - Stream the completion, calling onToken for each chunk
+     * @param {Function} options.onToken - Receives each content chunk while streaming
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @param {Function} options.onUsage - Receives the response's token usage block
+     * @returns {Promise<string>} - The AI response content
+     */
+    function chat(modelId, messages, options = {}) {
+        if (auth.scheme !== 'none' && !auth.key) {
+            return Promise.reject(new Error(`No API key configured for the ${name} provider`));
+        }
+
+        const body = {
+            model: modelId,
+            messages: messages,
+            temperature: options.temperature || 0.7,
+            max_tokens: options.max_tokens || 4096,
+            stream: !!options.stream
+        };
+
+        // Ask for a final chunk carrying the token usage
+        if (options.stream) {
+            body.stream_options = { include_usage: true };
+        }
+
+        const requestBody = JSON.stringify(body);
+
+        return new Promise((resolve, reject) => {
+            let streamed = '';
+
+            if (options.signal && options.signal.aborted) {
+                reject(abortError(''));
+                return;
+            }
+
+            const requestOptions = {
+                hostname: url.hostname,
+                port: url.port || (url.protocol === 'http:' ? 80 : 443),
+                path: url.pathname + url.search,
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...authHeaders(auth),
+                    'Content-Length': Buffer.byteLength(requestBody)
+                },
+                timeout
+            };
+
+            const req = transport.request(requestOptions, (res) => {
+                let data = '';
+
+                if (options.stream && res.statusCode === 200) {
+                    // Server-Sent Events: one "data: {json}" line per chunk,
+                    // then "data: [DONE]". Without the marker the response
+                    // was cut off, however it ended.
+                    let done = false;
+                    const interrupted = (reason, code) => {
+                        cleanup();
+                        reject(interruptedError(reason, streamed, code));
+                    };
+
+                    res.setEncoding('utf8');
+                    res.on('data', (chunk) => {
+                        data += chunk;
+                        const lines = data.split('\n');
+                        data = lines.pop();
+
+                        for (const line of lines) {
+                            const payload = line.replace(/^data:\s*/, '').trim();
+                            if (!line.startsWith('data:') || !payload) {
+                                continue;
+                            }
+                            if (payload === '[DONE]') {
+                                done = true;
+                                continue;
+                            }
+
+                            try {
+                                const parsed = JSON.parse(payload);
+                                if (parsed.usage && options.onUsage) {
+                                    options.onUsage(parsed.usage);
+                                }
+
+                                const delta = parsed.choices?.[0]?.delta?.content;
+                                if (delta) {
+                                    streamed += delta;
+                                    if (options.onToken) {
+                                        options.onToken(delta);
+                                    }
+                                }
+                            } catch (e) {
+                                // Ignore keep-alive or malformed chunks
+                            }
+                        }
+                    });
+
+                    res.on('end', () => {
+                        // The last line may lack its trailing newline
+                        if (/^data:\s*\[DONE\]\s*$/.test(data)) {
+                            done = true;
+                        }
+                        if (!done) {
+                            interrupted('response ended without [DONE]');
+                            return;
+                        }
+                        cleanup();
+                        resolve(streamed);
+                    });
+                    res.on('error', (e) => interrupted(e.message, e.code));
+                    res.on('aborted', () => interrupted('connection aborted', 'ECONNRESET'));
+                    res.on('close', () => {
+                        if (!res.complete) {
+                            interrupted('connection closed', 'ECONNRESET');
+                        }
+                    });
+                    return;
+                }
+
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+
+                res.on('end', () => {
+                    cleanup();
+
+                    if (res.statusCode !== 200) {
+                        reject(httpError(res, data));
+                        return;
+                    }
+
+                    try {
+                        const response = JSON.parse(data);
+
+                        if (response.usage && options.onUsage) {
+                            options.onUsage(response.usage);
+                        }
+
+                        if (response.choices && response.choices[0] && response.choices[0].message) {
+                            resolve(response.choices[0].message.content);
+                        } else {
+                            reject(new Error('Invalid API response format'));
+                        }
+                    } catch (e) {
+                        reject(new Error(`Failed to parse API response: ${e.message}`));
+                    }
+                });
+            });
+
+            const onAbort = () => {
+                req.destroy();
+                reject(abortError(streamed));
+            };
+
+            function cleanup() {
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', onAbort);
+                }
+            }
+
+            if (options.signal) {
+                options.signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            req.on('error', (e) => {
+                cleanup();
+                const error = new Error(`API request failed: ${e.message}`);
+                error.code = e.code;
+                reject(error);
+            });
+
+            req.on('timeout', () => {
+                cleanup();
+                req.destroy();
+                const error = new Error('API request timed out');
+                error.code = 'ETIMEDOUT';
+                reject(error);
+            });
+
+            req.write(requestBody);
+            req.end();
+        });
+    }
+
+    return {
+        name,
+        baseUrl,
+        chat
+    };
+}
+
+module.exports = { createProvider, abortError };
@@ -0,0 +1,334 @@
+/**
+ * Question Bank Service
+ * Every generated quiz and test question is stored in question_bank.json,
+ * tagged with subject, topic, difficulty, reporting category and the model
+ * that wrote it, so later quizzes and tests can reuse it instead of paying
+ * for a new one.
+ *
+ * Near-duplicates are kept out: a question whose words (stem and choices)
+ * overlap an existing one of the same subject by QUESTION_BANK_SIMILARITY
+ * or more (Jaccard similarity, default 0.8) isn't stored again. Questions
+ * that belong to a passage carry the passage with them and are compared
+ * only within it; a passage that repeats a stored one joins it.
+ *
+ * Draws skip questions the student has already seen and items flagged by
+ * item statistics (see services/itemStats), and prefer the least used ones.
+ * Passages are drawn whole, renumbered to where they land in the test.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+const SIMILARITY = parseFloat(process.env.QUESTION_BANK_SIMILARITY || '0.8');
+
+// Quiz subjects are named like the UI ("Math"), sections like the tests ("math")
+function subjectKey(subject) {
+    const key = String(subject || '').toLowerCase();
+    return key === 'mathematics' ? 'math' : key;
+}
+
+function sameText(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * The set of words in a text, for similarity checks
+ */
+function words(text) {
+    return new Set(String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean));
+}
+
+/**
+ * Jaccard similarity of two word sets (1 = same words)
+ */
+function similarity(a, b) {
+    if (a.size === 0 && b.size === 0) {
+        return 1;
+    }
+    let shared = 0;
+    for (const word of a) {
+        if (b.has(word)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+function questionWords(question) {
+    return words(`${question.question} ${Object.values(question.options || {}).join(' ')}`);
+}
+
+/**
+ * Turn a bank item back into a question, keeping its bank id
+ */
+function toQuestion(item) {
+    return {
+        question: item.question,
+        options: item.options,
+        correctAnswer: item.correctAnswer,
+        explanation: item.explanation,
+        category: item.category,
+        categoryName: item.categoryName,
+        skill: item.skill,
+        bankId: item.id
+    };
+}
+
+/**
+ * Store generated questions, skipping near-duplicates
+ * @param {Array<Object>} questions - Generated questions
+ * @param {Object} meta - { subject, topic, difficulty, model, source: { type, id }, passage: { type, title, text, paired, firstNumber } | null }
+ * @returns {Promise<Object>} - { questions (each with bankId, the stored copy's id), added, duplicates, passageKey }
+ */
+async function add(questions, meta) {
+    const subject = subjectKey(meta.subject);
+    const existing = await storage.findMany('question_bank.json', { subject });
+
+    // A passage that repeats a stored one joins it
+    let passage = null;
+    if (meta.passage) {
+        const passageWords = words(meta.passage.text);
+        const match = existing.find(item => item.passage && similarity(words(item.passage.text), passageWords) >= SIMILARITY);
+        passage = match ? match.passage : { ...meta.passage, key: uuidv4() };
+    }
+
+    const candidates = existing
+        .filter(item => passage ? item.passage && item.passage.key === passage.key : !item.passage)
+        .map(item => ({ id: item.id, words: questionWords(item) }));
+
+    let duplicates = 0;
+    const stored = [];
+    const items = [];
+
+    for (const question of questions) {
+        const questionSet = questionWords(question);
+        const duplicate = candidates.find(candidate => similarity(candidate.words, questionSet) >= SIMILARITY);
+
+        if (duplicate) {
+            duplicates++;
+            stored.push({ ...question, bankId: duplicate.id });
+            continue;
+        }
+
+        const item = {
+            id: uuidv4(),
+            subject,
+            topic: meta.topic || null,
+            difficulty: meta.difficulty || null,
+            category: question.category || null,
+            categoryName: question.categoryName || null,
+            skill: question.skill || null,
+            question: question.question,
+            options: question.options,
+            correctAnswer: question.correctAnswer,
+            explanation: question.explanation || '',
+            passage,
+            model: meta.model || null,
+            source: meta.source || null,
+            timesUsed: 1,
+            lastUsedAt: new Date().toISOString(),
+            createdAt: new Date().toISOString()
+        };
+
+        items.push(item);
+        candidates.push({ id: item.id, words: questionSet });
+        stored.push({ ...question, bankId: item.id });
+    }
+
+    await storage.insertMany('question_bank.json', items);
+
+    return { questions: stored, added: items.length, duplicates, passageKey: passage ? passage.key : null };
+}
+
+/**
+ * Bank ids of the questions a student has already had in quizzes and tests
+ */
+async function seenBy(userId) {
+    const seen = new Set();
+
+    const quizzes = await storage.findMany('quizzes.json', { userId }, { fields: ['questions'] });
+    for (const quiz of quizzes) {
+        (quiz.questions || []).forEach(q => q.bankId && seen.add(q.bankId));
+    }
+
+    const tests = await storage.findMany('tests.json', { userId }, { fields: ['id', 'sections'] });
+    for (const test of tests) {
+        for (const section of Object.values(test.sections || {})) {
+            (section.passages || []).forEach(p => p.questions.forEach(q => q.bankId && seen.add(q.bankId)));
+        }
+    }
+
+    return seen;
+}
+
+async function markUsed(items) {
+    if (items.length === 0) {
+        return;
+    }
+
+    const lastUsedAt = new Date().toISOString();
+    await storage.updateMany('question_bank.json', items.map(item => ({
+        where: { id: item.id },
+        updates: { timesUsed: (item.timesUsed || 0) + 1, lastUsedAt }
+    })));
+}
+
+// Items the last item statistics run flagged as broken aren't drawn
+function isFlagged(item) {
+    return !!(item.stats && item.stats.flags && item.stats.flags.length > 0);
+}
+
+function leastUsedFirst(a, b) {
+    return (a.timesUsed || 0) - (b.timesUsed || 0) || Math.random() - 0.5;
+}
+
+/**
+ * Standalone questions (no passage) that may be drawn, for callers that
+ * choose among them themselves (see use())
+ * @param {Object} filter - { subject, topic, exclude: Set of bank ids }
+ * @returns {Promise<Array<Object>>} - Bank items
+ */
+async function candidates({ subject, topic, exclude = new Set() }) {
+    return (await storage.findMany('question_bank.json', { subject: subjectKey(subject) }))
+        .filter(item => !item.passage && !exclude.has(item.id) && !isFlagged(item))
+        .filter(item => !topic || sameText(item.topic, topic));
+}
+
+/**
+ * Draw one item chosen from candidates()
+ * @returns {Promise<Object>} - The question, with bankId and model
+ */
+async function use(item) {
+    await markUsed([item]);
+    return { ...toQuestion(item), model: item.model };
+}
+
+/**
+ * Draw standalone questions (no passage)
+ * @param {Object} filter - { subject, topic, difficulty, count, exclude: Set of bank ids }
+ * @returns {Promise<Array<Object>>} - Up to count questions, each with bankId and model
+ */
+async function drawQuestions({ subject, topic, difficulty, count, exclude = new Set() }) {
+    const items = (await candidates({ subject, topic, exclude }))
+        .filter(item => !difficulty || sameText(item.difficulty, difficulty))
+        .sort(leastUsedFirst)
+        .slice(0, count);
+
+    await markUsed(items);
+    return items.map(item => ({ ...toQuestion(item), model: item.model }));
+}
+
+/**
+ * Shift the question numbers in a passage (its "[12]...[/12]" markers and
+ * the numbers its questions start with) so the first is firstNumber.
+ * Markers past the last of the questions are dropped, keeping their text.
+ */
+function renumber(passage, questions, firstNumber) {
+    const markers = [...String(passage.text || '').matchAll(/\[\/?(\d+)\]/g)].map(match => Number(match[1]));
+    const leading = /^\s*(\d+)/.exec(questions[0] ? questions[0].question : '');
+    const from = passage.firstNumber || (markers.length > 0 ? Math.min(...markers) : leading && Number(leading[1]));
+
+    let text = String(passage.text || '');
+    if (from) {
+        const last = from + questions.length - 1;
+        text = text.replace(/\[\/?(\d+)\]/g, (marker, number) => Number(number) > last ? '' : marker);
+    }
+
+    const offset = from && firstNumber ? firstNumber - from : 0;
+    if (offset === 0) {
+        return { text, questions };
+    }
+
+    const shift = (number) => String(Number(number) + offset);
+    return {
+        text: text.replace(/\[(\/?)(\d+)\]/g, (_, slash, number) => `[${slash}${shift(number)}]`),
+        questions: questions.map(question => ({
+            ...question,
+            question: question.question.replace(/^(\s*)(\d+)/, (_, space, number) => space + shift(number))
+        }))
+    };
+}
+
+/**
+ * Draw a stored passage with at least count questions, none of them seen,
+ * and take its first count questions in their stored order, renumbered to
+ * start at firstNumber
+ * @param {Object} filter - { subject, type, paired, count, firstNumber, exclude: Set of bank ids, excludePassages: Set of passage keys }
+ * @returns {Promise<Object|null>} - { key, type, paired, title, text, questions, model }
+ */
+async function drawPassage({ subject, type, paired = false, count, firstNumber, exclude = new Set(), excludePassages = new Set() }) {
+    const items = (await storage.findMany('question_bank.json', { subject: subjectKey(subject) }))
+        .filter(item => item.passage && sameText(item.passage.type, type) && !!item.passage.paired === !!paired)
+        .filter(item => !excludePassages.has(item.passage.key));
+
+    const passages = new Map();
+    for (const item of items) {
+        const group = passages.get(item.passage.key) || [];
+        group.push(item);
+        passages.set(item.passage.key, group);
+    }
+
+    // Passages that other passages joined hold more questions than they were
+    // generated with; the first count are the ones their markers number
+    const usable = [...passages.values()]
+        .filter(group => group.length >= count)
+        .map(group => group.slice(0, count))
+        .filter(group => group.every(item => !exclude.has(item.id) && !isFlagged(item)))
+        .sort((a, b) => leastUsedFirst(a[0], b[0]));
+    if (usable.length === 0) {
+        return null;
+    }
+
+    const chosen = usable[0];
+    await markUsed(chosen);
+
+    const { passage } = chosen[0];
+    const { text, questions } = renumber(passage, chosen.map(toQuestion), firstNumber);
+    const models = new Set(chosen.map(item => item.model));
+    return {
+        key: passage.key,
+        type: passage.type,
+        paired: !!passage.paired,
+        title: passage.title || '',
+        text,
+        questions,
+        model: models.size === 1 ? [...models][0] : null
+    };
+}
+
+/**
+ * Count stored questions by subject
+ */
+async function stats() {
+    const items = await storage.findMany('question_bank.json', {}, { fields: ['subject', 'passage', 'timesUsed'] });
+    const bySubject = {};
+
+    for (const item of items) {
+        const row = bySubject[item.subject] || { questions: 0, passages: new Set(), reused: 0 };
+        row.questions++;
+        if (item.passage) row.passages.add(item.passage.key);
+        if ((item.timesUsed || 0) > 1) row.reused++;
+        bySubject[item.subject] = row;
+    }
+
+    return {
+        total: items.length,
+        subjects: Object.entries(bySubject).map(([subject, row]) => ({
+            subject,
+            questions: row.questions,
+            passages: row.passages.size,
+            reused: row.reused
+        }))
+    };
+}
+
+module.exports = {
+    add,
+    seenBy,
+    candidates,
+    use,
+    drawQuestions,
+    drawPassage,
+    stats,
+    isFlagged,
+    similarity,
+    words
+};
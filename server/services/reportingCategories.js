@@ -0,0 +1,173 @@
+/**
+ * Reporting Categories
+ * The categories an ACT score report breaks each section into, the skills
+ * under them, and the per-category breakdown of a student's answers.
+ *
+ * Generators ask the model to tag every question with a category and a
+ * skill; tag() maps whatever came back onto these keys, so reports never
+ * depend on the model's spelling.
+ */
+
+const CATEGORIES = {
+    english: [
+        {
+            key: 'POW',
+            name: 'Production of Writing',
+            skills: ['Topic Development', 'Organization, Unity & Cohesion']
+        },
+        {
+            key: 'KLA',
+            name: 'Knowledge of Language',
+            skills: ['Word Choice & Precision', 'Style & Tone', 'Concision']
+        },
+        {
+            key: 'CSE',
+            name: 'Conventions of Standard English',
+            skills: ['Sentence Structure & Formation', 'Punctuation', 'Usage', 'Agreement']
+        }
+    ],
+    math: [
+        {
+            key: 'PHM',
+            name: 'Preparing for Higher Math',
+            skills: ['Number & Quantity', 'Algebra', 'Functions', 'Geometry', 'Statistics & Probability']
+        },
+        {
+            key: 'IES',
+            name: 'Integrating Essential Skills',
+            skills: ['Rates & Percentages', 'Proportional Relationships', 'Area & Volume', 'Averages & Medians', 'Expressing Numbers']
+        },
+        {
+            key: 'MOD',
+            name: 'Modeling',
+            skills: ['Building Models', 'Interpreting Models', 'Evaluating Models']
+        }
+    ],
+    reading: [
+        {
+            key: 'KID',
+            name: 'Key Ideas & Details',
+            skills: ['Central Ideas & Themes', 'Close Reading', 'Relationships & Sequences', 'Summarizing']
+        },
+        {
+            key: 'CS',
+            name: 'Craft & Structure',
+            skills: ['Word & Phrase Meaning', 'Text Structure', 'Purpose & Point of View']
+        },
+        {
+            key: 'IKI',
+            name: 'Integration of Knowledge & Ideas',
+            skills: ['Arguments & Evidence', 'Comparing Texts', 'Visual & Quantitative Information']
+        }
+    ],
+    science: [
+        {
+            key: 'IOD',
+            name: 'Interpretation of Data',
+            skills: ['Reading Tables & Graphs', 'Trends & Relationships', 'Interpolation & Extrapolation']
+        },
+        {
+            key: 'SIN',
+            name: 'Scientific Investigation',
+            skills: ['Experimental Design', 'Variables & Controls', 'Extending Experiments']
+        },
+        {
+            key: 'EMI',
+            name: 'Evaluation of Models, Inferences & Experimental Results',
+            skills: ['Evaluating Hypotheses', 'Comparing Viewpoints', 'Drawing Conclusions']
+        }
+    ]
+};
+
+// Quiz subjects are named like the UI ("Math"), sections like the tests ("math")
+function sectionKey(subject) {
+    const key = String(subject || '').toLowerCase();
+    return key === 'mathematics' ? 'math' : key;
+}
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]+/g, ' ').trim();
+}
+
+/**
+ * Describe a section's categories for a prompt, one per line
+ */
+function describe(subject) {
+    return (CATEGORIES[sectionKey(subject)] || [])
+        .map(category => `- ${category.name} (skills: ${category.skills.join('; ')})`)
+        .join('\n');
+}
+
+/**
+ * Map the category and skill a model gave a question onto the section's
+ * categories. Unknown categories become null; unknown skills are kept as
+ * written.
+ * @returns {Object} - The question with category (a key such as "PHM"), categoryName and skill
+ */
+function tag(subject, question) {
+    const categories = CATEGORIES[sectionKey(subject)] || [];
+    const given = normalize(question.category);
+    const skill = typeof question.skill === 'string' ? question.skill.trim() : '';
+
+    let category = categories.find(c => given && (normalize(c.name) === given || normalize(c.key) === given));
+
+    // Fall back to the category whose skill list has the skill
+    if (!category && skill) {
+        category = categories.find(c => c.skills.some(s => normalize(s) === normalize(skill)));
+    }
+
+    return {
+        ...question,
+        category: category ? category.key : null,
+        categoryName: category ? category.name : null,
+        skill: skill || null
+    };
+}
+
+/**
+ * Break a section's answers down by reporting category, like an ACT score
+ * report
+ * @param {string} subject - Section or quiz subject
+ * @param {Array<Object>} results - [{ category, skill, correct: boolean }]
+ * @returns {Array<Object>} - [{ key, name, correct, total, percent, skills: [...] }]
+ */
+function breakdown(subject, results) {
+    const rows = (CATEGORIES[sectionKey(subject)] || []).map(category => ({
+        key: category.key,
+        name: category.name,
+        correct: 0,
+        total: 0,
+        percent: null,
+        skills: {}
+    }));
+    const other = { key: null, name: 'Uncategorized', correct: 0, total: 0, percent: null, skills: {} };
+
+    for (const result of results) {
+        const row = rows.find(r => r.key === result.category) || other;
+        row.total++;
+        if (result.correct) row.correct++;
+
+        const skill = result.skill || 'General';
+        row.skills[skill] = row.skills[skill] || { skill, correct: 0, total: 0 };
+        row.skills[skill].total++;
+        if (result.correct) row.skills[skill].correct++;
+    }
+
+    return [...rows, other]
+        .filter(row => row.total > 0 || row !== other)
+        .map(row => ({
+            ...row,
+            percent: row.total > 0 ? Math.round(row.correct / row.total * 100) : null,
+            skills: Object.values(row.skills).map(s => ({
+                ...s,
+                percent: Math.round(s.correct / s.total * 100)
+            }))
+        }));
+}
+
+module.exports = {
+    CATEGORIES,
+    describe,
+    tag,
+    breakdown
+};
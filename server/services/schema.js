@@ -0,0 +1,168 @@
+/**
+ * Schema Versions
+ * Current schema version of each collection and the upgrade steps that bring
+ * older records up to date. The storage service runs these whenever it reads
+ * a record whose schemaVersion is behind, so routes can rely on the current
+ * shape. Upgraded records are persisted the next time they are updated.
+ *
+ * Records stored before versioning existed are treated as version 1.
+ * Upgrade steps are keyed by the version they produce and mutate the record.
+ */
+
+const { v5: uuidv5 } = require('uuid');
+
+const SUBJECT_DEFAULTS = { score: 0, quizzesTaken: 0, correctAnswers: 0, totalQuestions: 0 };
+
+// Namespace for ids derived during upgrades (any fixed uuid works)
+const ID_NAMESPACE = 'a3f1c2d4-5b6e-4f70-8a91-b2c3d4e5f607';
+
+/**
+ * Move a map keyed by question text onto question ids. Questions that shared
+ * a text also shared its answer, so each of them gets it.
+ */
+function rekeyByText(map, idsByText) {
+    const rekeyed = {};
+    for (const [text, value] of Object.entries(map || {})) {
+        for (const id of idsByText[text] || []) {
+            rekeyed[id] = value;
+        }
+    }
+    return rekeyed;
+}
+
+/**
+ * Copy default values onto an object for keys it doesn't have yet
+ */
+function fillDefaults(target, defaults) {
+    for (const [key, value] of Object.entries(defaults)) {
+        if (target[key] === undefined) {
+            target[key] = Array.isArray(value) ? [...value]
+                : value && typeof value === 'object' ? { ...value }
+                : value;
+        }
+    }
+    return target;
+}
+
+const SCHEMAS = {
+    'users.json': {
+        version: 2,
+        upgrades: {
+            // Settings and stats fields added after launch
+            2: (user) => {
+                user.settings = fillDefaults(user.settings || {}, {
+                    theme: 'light',
+                    notifications: true,
+                    studyReminders: true,
+                    reminderTime: null,
+                    reminderDays: [],
+                    defaultModel: 'deepseek-v3',
+                    timezone: 'America/New_York'
+                });
+                user.stats = fillDefaults(user.stats || {}, {
+                    xp: 0,
+                    level: 1,
+                    streak: 0,
+                    lastStudyDate: null,
+                    lessonsCompleted: 0,
+                    quizzesTaken: 0,
+                    testsTaken: 0,
+                    totalStudyTime: 0,
+                    achievements: []
+                });
+            }
+        }
+    },
+    'progress.json': {
+        version: 2,
+        upgrades: {
+            // Per-subject counters and the writing subject
+            2: (progress) => {
+                const subjects = progress.subjects || {};
+                for (const subject of ['english', 'math', 'reading', 'science']) {
+                    subjects[subject] = fillDefaults(subjects[subject] || {}, SUBJECT_DEFAULTS);
+                }
+                subjects.writing = fillDefaults(subjects.writing || {}, { essays: 0, averageScore: 0 });
+                progress.subjects = subjects;
+                fillDefaults(progress, { testScores: [], activityLog: [] });
+            }
+        }
+    },
+    'tests.json': {
+        version: 3,
+        upgrades: {
+            // Result fields and per-section answer maps
+            2: (test) => {
+                fillDefaults(test, { scores: null, compositeScore: null, percentile: null });
+                for (const section of Object.values(test.sections || {})) {
+                    fillDefaults(section, { answers: {}, score: null, timeSpent: null });
+                }
+            },
+            // Passage and question ids and numbering; answers and flags move
+            // from question text to question id. Ids are derived from the
+            // test id, so a record upgraded on every read keeps the same ids
+            // until it is saved.
+            3: (test) => {
+                for (const [key, section] of Object.entries(test.sections || {})) {
+                    const idsByText = {};
+                    let number = 1;
+
+                    (section.passages || []).forEach((passage, passageIndex) => {
+                        passage.id = passage.id || uuidv5(`${test.id}/${key}/${passageIndex}`, ID_NAMESPACE);
+                        passage.number = passage.number || passageIndex + 1;
+                        passage.questions = (passage.questions || []).map((question, index) => {
+                            const id = question.id || uuidv5(`${test.id}/${key}/${passageIndex}/${index}`, ID_NAMESPACE);
+                            idsByText[question.question] = [...(idsByText[question.question] || []), id];
+                            return { ...question, id, number: question.number || number++ };
+                        });
+                    });
+
+                    section.answers = rekeyByText(section.answers, idsByText);
+                    section.flagged = rekeyByText(section.flagged, idsByText);
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Bring a record up to the current schema version of its collection
+ * @param {string} filename - The collection file name
+ * @param {Object} record - The stored record (upgraded in place)
+ * @returns {Object} The upgraded record
+ */
+function upgrade(filename, record) {
+    const schema = SCHEMAS[filename];
+    if (!schema || !record || typeof record !== 'object') {
+        return record;
+    }
+
+    let version = record.schemaVersion || 1;
+    if (version >= schema.version) {
+        return record;
+    }
+
+    while (version < schema.version) {
+        version++;
+        const step = schema.upgrades[version];
+        if (step) {
+            step(record);
+        }
+    }
+
+    record.schemaVersion = schema.version;
+    return record;
+}
+
+/**
+ * Get the current schema version of a collection
+ */
+function currentVersion(filename) {
+    return SCHEMAS[filename] ? SCHEMAS[filename].version : null;
+}
+
+module.exports = {
+    upgrade,
+    currentVersion,
+    SCHEMAS
+};
@@ -0,0 +1,292 @@
+/**
+ * Score Tables Service
+ * Raw-to-scale conversion for ACT sections.
+ *
+ * Like the real test, each form has its own table per section: minRaw maps
+ * a scale score (1-36) to the fewest correct answers that earn it. Scale
+ * scores missing from a table can't be earned on that form. Two forms are
+ * built in; admins can upload more, which are stored in score_tables.json.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+const SECTIONS = ['english', 'math', 'reading', 'science'];
+
+const DEFAULT_FORM = process.env.SCORE_TABLE_FORM || 'typical';
+
+const BUILT_IN_FORMS = {
+    typical: {
+        key: 'typical',
+        name: 'Typical form',
+        description: 'Curve of an average published ACT form',
+        builtIn: true,
+        sections: {
+            english: {
+                max: 75,
+                minRaw: {
+                    36: 75, 35: 72, 34: 71, 33: 70, 32: 69, 31: 68, 30: 67, 29: 65, 28: 64, 27: 62,
+                    26: 60, 25: 58, 24: 56, 23: 53, 22: 51, 21: 48, 20: 45, 19: 42, 18: 40, 17: 38,
+                    16: 35, 15: 32, 14: 29, 13: 27, 12: 25, 11: 23, 10: 20, 9: 16, 8: 13, 7: 11, 6: 9,
+                    5: 7, 4: 5, 3: 3, 2: 2, 1: 0
+                }
+            },
+            math: {
+                max: 60,
+                minRaw: {
+                    36: 58, 35: 56, 34: 54, 33: 53, 32: 51, 31: 49, 30: 48, 29: 46, 28: 44, 27: 41,
+                    26: 39, 25: 37, 24: 34, 23: 32, 22: 30, 21: 29, 20: 27, 19: 24, 18: 21, 17: 17,
+                    16: 13, 15: 11, 14: 8, 13: 7, 12: 6, 11: 5, 10: 4, 8: 3, 6: 2, 4: 1, 1: 0
+                }
+            },
+            reading: {
+                max: 40,
+                minRaw: {
+                    36: 40, 35: 39, 34: 38, 33: 37, 32: 36, 31: 35, 30: 34, 29: 33, 28: 32, 27: 31,
+                    26: 30, 25: 29, 24: 27, 23: 26, 22: 24, 21: 23, 20: 21, 19: 20, 18: 19, 17: 17,
+                    16: 15, 15: 14, 14: 12, 13: 11, 12: 9, 11: 8, 10: 7, 9: 6, 8: 5, 6: 4, 5: 3, 3: 2,
+                    2: 1, 1: 0
+                }
+            },
+            science: {
+                max: 40,
+                minRaw: {
+                    36: 40, 35: 39, 34: 38, 33: 37, 31: 36, 30: 35, 29: 34, 28: 33, 27: 32, 26: 31,
+                    25: 29, 24: 27, 23: 25, 22: 23, 21: 21, 20: 19, 19: 17, 18: 16, 17: 14, 16: 13,
+                    15: 12, 14: 11, 13: 10, 12: 9, 11: 8, 10: 7, 9: 6, 8: 5, 7: 4, 6: 3, 4: 2, 3: 1,
+                    1: 0
+                }
+            }
+        }
+    },
+    strict: {
+        key: 'strict',
+        name: 'Strict form',
+        description: 'Curve of an easier form, where high scores need near-perfect work',
+        builtIn: true,
+        sections: {
+            english: {
+                max: 75,
+                minRaw: {
+                    36: 75, 34: 74, 33: 73, 32: 72, 31: 71, 30: 70, 29: 68, 28: 67, 27: 66, 26: 64,
+                    25: 62, 24: 60, 23: 57, 22: 55, 21: 52, 20: 49, 19: 46, 18: 44, 17: 42, 16: 39,
+                    15: 36, 14: 31, 13: 29, 12: 27, 11: 25, 10: 22, 9: 18, 8: 15, 7: 13, 6: 11, 5: 9,
+                    4: 7, 3: 5, 2: 4, 1: 0
+                }
+            },
+            math: {
+                max: 60,
+                minRaw: {
+                    36: 60, 35: 58, 34: 56, 33: 55, 32: 53, 31: 51, 30: 50, 29: 48, 28: 46, 27: 44,
+                    26: 42, 25: 40, 24: 37, 23: 35, 22: 33, 21: 32, 20: 30, 19: 27, 18: 24, 17: 20,
+                    16: 16, 15: 14, 14: 10, 13: 9, 12: 8, 11: 7, 10: 6, 8: 5, 6: 4, 4: 3, 1: 0
+                }
+            },
+            reading: {
+                max: 40,
+                minRaw: {
+                    36: 40, 33: 39, 32: 38, 31: 37, 30: 36, 29: 35, 28: 34, 27: 33, 26: 32, 25: 31,
+                    24: 29, 23: 28, 22: 26, 21: 25, 20: 23, 19: 22, 18: 21, 17: 19, 16: 17, 15: 16,
+                    14: 13, 13: 12, 12: 10, 11: 9, 10: 8, 9: 7, 8: 6, 6: 5, 5: 4, 3: 3, 2: 2, 1: 0
+                }
+            },
+            science: {
+                max: 40,
+                minRaw: {
+                    36: 40, 33: 39, 31: 38, 30: 37, 29: 36, 28: 35, 27: 34, 26: 33, 25: 31, 24: 29,
+                    23: 27, 22: 25, 21: 23, 20: 21, 19: 19, 18: 18, 17: 16, 16: 15, 15: 14, 14: 12,
+                    13: 11, 12: 10, 11: 9, 10: 8, 9: 7, 8: 6, 7: 5, 6: 4, 4: 3, 3: 2, 1: 0
+                }
+            }
+        }
+    }
+};
+
+/**
+ * List all forms, built-in first
+ */
+async function listForms() {
+    const custom = await storage.findMany('score_tables.json', {}, {
+        sort: { field: 'createdAt', order: 'asc' }
+    });
+    return [...Object.values(BUILT_IN_FORMS), ...custom];
+}
+
+/**
+ * Get a form by key
+ * @returns {Promise<Object|null>}
+ */
+async function getForm(key) {
+    if (BUILT_IN_FORMS[key]) {
+        return BUILT_IN_FORMS[key];
+    }
+    return await storage.findOne('score_tables.json', { key });
+}
+
+/**
+ * Get a form, falling back to the default for tests created before score
+ * tables existed or whose form has since been deleted
+ */
+async function formOrDefault(key) {
+    return (key && await getForm(key)) || (await getForm(DEFAULT_FORM)) || BUILT_IN_FORMS.typical;
+}
+
+/**
+ * Convert a section's raw score to its scale score
+ * @param {Object} form - A score table form
+ * @param {string} section - english, math, reading or science
+ * @param {number} correct - Questions answered correctly
+ * @param {number} total - Questions in the section. When it differs from
+ *   the table's length (e.g. a short practice section), the raw score is
+ *   converted proportionally first.
+ * @returns {Object} - { raw, rawEquivalent, scaledScore }
+ */
+function convert(form, section, correct, total) {
+    const table = form.sections[section];
+    if (!table) {
+        throw new Error(`Score table ${form.key} has no ${section} table`);
+    }
+
+    const rawEquivalent = total === table.max || !total
+        ? correct
+        : Math.round(correct * table.max / total);
+
+    let scaledScore = 1;
+    for (const [scale, minRaw] of Object.entries(table.minRaw)) {
+        if (rawEquivalent >= minRaw && Number(scale) > scaledScore) {
+            scaledScore = Number(scale);
+        }
+    }
+
+    return { raw: correct, rawEquivalent, scaledScore };
+}
+
+/**
+ * The composite is the average of the section scale scores, with halves
+ * rounded up
+ */
+function composite(scaleScores) {
+    if (scaleScores.length === 0) {
+        return null;
+    }
+    return Math.floor(scaleScores.reduce((sum, score) => sum + score, 0) / scaleScores.length + 0.5);
+}
+
+/**
+ * Check an uploaded form
+ * @returns {Array<string>} - Validation errors
+ */
+function validateForm(form) {
+    const errors = [];
+
+    if (!form || typeof form !== 'object') {
+        return ['Form must be an object'];
+    }
+    if (typeof form.key !== 'string' || !/^[a-z0-9-]{1,40}$/.test(form.key)) {
+        errors.push('Key must be 1-40 lowercase letters, digits or dashes');
+    }
+    if (typeof form.name !== 'string' || !form.name.trim()) {
+        errors.push('Name is required');
+    }
+    if (!form.sections || typeof form.sections !== 'object') {
+        return [...errors, 'Sections are required'];
+    }
+
+    for (const section of SECTIONS) {
+        const table = form.sections[section];
+        if (!table || typeof table !== 'object') {
+            errors.push(`${section}: table is required`);
+            continue;
+        }
+        if (!Number.isInteger(table.max) || table.max < 1) {
+            errors.push(`${section}: max must be the number of questions`);
+            continue;
+        }
+        if (!table.minRaw || typeof table.minRaw !== 'object') {
+            errors.push(`${section}: minRaw is required`);
+            continue;
+        }
+
+        const entries = Object.entries(table.minRaw).map(([scale, raw]) => [Number(scale), raw]);
+        if (entries.some(([scale]) => !Number.isInteger(scale) || scale < 1 || scale > 36)) {
+            errors.push(`${section}: scale scores must be whole numbers from 1 to 36`);
+            continue;
+        }
+        if (entries.some(([, raw]) => !Number.isInteger(raw) || raw < 0 || raw > table.max)) {
+            errors.push(`${section}: raw scores must be whole numbers from 0 to ${table.max}`);
+            continue;
+        }
+        if (table.minRaw[1] !== 0) {
+            errors.push(`${section}: a raw score of 0 must earn a scale score of 1`);
+        }
+
+        // Higher scale scores must need more correct answers
+        entries.sort((a, b) => a[0] - b[0]);
+        for (let i = 1; i < entries.length; i++) {
+            if (entries[i][1] <= entries[i - 1][1]) {
+                errors.push(`${section}: ${entries[i][0]} must need more correct answers than ${entries[i - 1][0]}`);
+                break;
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Store an uploaded form, replacing an uploaded form with the same key
+ * @returns {Promise<Object>} - The stored form
+ */
+async function saveForm(form, userId) {
+    if (BUILT_IN_FORMS[form.key]) {
+        const error = new Error(`${form.key} is a built-in form and can't be replaced`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const record = {
+        key: form.key,
+        name: form.name.trim(),
+        description: form.description || '',
+        builtIn: false,
+        sections: {},
+        uploadedBy: userId,
+        updatedAt: new Date().toISOString()
+    };
+    for (const section of SECTIONS) {
+        record.sections[section] = { max: form.sections[section].max, minRaw: form.sections[section].minRaw };
+    }
+
+    const existing = await storage.findOne('score_tables.json', { key: form.key });
+    if (existing) {
+        return await storage.update('score_tables.json', { key: form.key }, record);
+    }
+
+    return await storage.insert('score_tables.json', { id: uuidv4(), ...record, createdAt: record.updatedAt });
+}
+
+/**
+ * Delete an uploaded form. Tests that used it are scored with the default.
+ * @returns {Promise<boolean>}
+ */
+async function removeForm(key) {
+    if (BUILT_IN_FORMS[key]) {
+        const error = new Error(`${key} is a built-in form and can't be deleted`);
+        error.statusCode = 409;
+        throw error;
+    }
+    return await storage.remove('score_tables.json', { key });
+}
+
+module.exports = {
+    SECTIONS,
+    DEFAULT_FORM,
+    listForms,
+    getForm,
+    formOrDefault,
+    convert,
+    composite,
+    validateForm,
+    saveForm,
+    removeForm
+};
@@ -1,10 +1,19 @@
 /**
- * JSON Storage Utility
- * Provides atomic read/write operations for JSON data files
+ * Storage Service
+ * Collection-level API over a pluggable storage driver.
+ *
+ * Drivers (see ./drivers) implement read, write, findOne, findMany, query,
+ * insert, update, remove and close. The driver is chosen with STORAGE_DRIVER
+ * ("json" by default, or "sqlite").
+ *
+ * Records are upgraded to their collection's current schema version (see
+ * ./schema) as they are read, before any predicate sees them.
  */
 
 const fs = require('fs');
 const path = require('path');
+const schema = require('./schema');
+const { applyOptions } = require('./drivers/query');
 
 const DATA_DIR = path.join(__dirname, '..', '..', 'data');
 
@@ -13,156 +22,170 @@ if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-// File locks to prevent concurrent writes
-const fileLocks = new Map();
+// Collections used by the application
+const COLLECTIONS = [
+    'users.json',
+    'progress.json',
+    'lessons.json',
+    'quizzes.json',
+    'tests.json',
+    'chat_history.json',
+    'study_plans.json',
+    'essays.json',
+    'flashcards.json',
+    'usage.json',
+    'jobs.json',
+    'score_tables.json',
+    'answer_logs.json',
+    'question_bank.json',
+    'diagnostics.json'
+];
+
+// Available storage drivers
+const DRIVERS = {
+    json: () => require('./drivers/json'),
+    sqlite: () => require('./drivers/sqlite')
+};
 
 /**
- * Acquire a lock for a file
+ * Create a storage driver by name
+ * @param {string} name - Driver name ("json" or "sqlite")
+ * @param {Object} options - Driver options (dataDir defaults to DATA_DIR)
  */
-async function acquireLock(filename) {
-    while (fileLocks.get(filename)) {
-        await new Promise(resolve => setTimeout(resolve, 10));
+function createDriver(name, options = {}) {
+    const loadDriver = DRIVERS[name];
+    if (!loadDriver) {
+        throw new Error(`Unknown storage driver: ${name}`);
     }
-    fileLocks.set(filename, true);
-}
 
-/**
- * Release a lock for a file
- */
-function releaseLock(filename) {
-    fileLocks.delete(filename);
+    return loadDriver().createDriver({ dataDir: DATA_DIR, ...options });
 }
 
+const driver = createDriver(process.env.STORAGE_DRIVER || 'json', {
+    filename: process.env.SQLITE_FILE || undefined
+});
+
 /**
- * Read data from a JSON file
- * @param {string} filename - The JSON file name (without path)
- * @param {*} defaultValue - Default value if file doesn't exist
- * @returns {*} The parsed JSON data
+ * Read a whole collection
+ * @param {string} filename - The collection file name (e.g. "users.json")
+ * @param {*} defaultValue - Default value if the collection doesn't exist
+ * @returns {*} The stored data
  */
 async function read(filename, defaultValue = []) {
-    const filepath = path.join(DATA_DIR, filename);
-    
-    try {
-        if (!fs.existsSync(filepath)) {
-            return defaultValue;
-        }
-        
-        const data = fs.readFileSync(filepath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading ${filename}:`, error);
-        return defaultValue;
-    }
+    const data = await driver.read(filename, defaultValue);
+    return Array.isArray(data) ? data.map(record => schema.upgrade(filename, record)) : data;
 }
 
 /**
- * Write data to a JSON file atomically
- * @param {string} filename - The JSON file name (without path)
+ * Replace a whole collection
+ * @param {string} filename - The collection file name (e.g. "users.json")
  * @param {*} data - The data to write
  */
 async function write(filename, data) {
-    const filepath = path.join(DATA_DIR, filename);
-    const tempPath = filepath + '.tmp.' + Date.now();
-    
-    await acquireLock(filename);
-    
-    try {
-        // Write to temp file first
-        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
-        
-        // Rename temp file to actual file (atomic operation)
-        fs.renameSync(tempPath, filepath);
-    } catch (error) {
-        console.error(`Error writing ${filename}:`, error);
-        // Clean up temp file if it exists
-        if (fs.existsSync(tempPath)) {
-            fs.unlinkSync(tempPath);
-        }
-        throw error;
-    } finally {
-        releaseLock(filename);
+    return driver.write(filename, data);
+}
+
+/**
+ * Wrap a predicate so it sees upgraded records. Drivers hand back the records
+ * the predicate saw (or copies of them), so matches come back upgraded too.
+ */
+function upgraded(filename, predicate) {
+    return (record) => predicate(schema.upgrade(filename, record));
+}
+
+/**
+ * Find records matching a predicate function or a { field: value } query.
+ * Queries use the driver's indexes on id, userId, status and createdAt.
+ * @param {string} filename - The collection file name
+ * @param {Function|Object} where - Predicate or query
+ * @param {Object} options - { sort: { field, order }, skip, limit, fields }
+ */
+async function query(filename, where, options = {}) {
+    if (typeof where === 'function') {
+        const records = await driver.findMany(filename, upgraded(filename, where));
+        return applyOptions(records, options);
     }
+
+    const records = await driver.query(filename, where, options);
+    return records.map(record => schema.upgrade(filename, record));
 }
 
 /**
- * Find a single item by property
+ * Find a single item by predicate or query
  */
-async function findOne(filename, predicate) {
-    const data = await read(filename, []);
-    return data.find(predicate);
+async function findOne(filename, where) {
+    if (typeof where === 'function') {
+        return driver.findOne(filename, upgraded(filename, where));
+    }
+
+    const [record] = await query(filename, where, { limit: 1 });
+    return record;
 }
 
 /**
- * Find multiple items by property
+ * Find multiple items by predicate or query
  */
-async function findMany(filename, predicate) {
-    const data = await read(filename, []);
-    return data.filter(predicate);
+async function findMany(filename, where, options = {}) {
+    return query(filename, where, options);
 }
 
 /**
  * Insert a new item
  */
 async function insert(filename, item) {
-    const data = await read(filename, []);
-    data.push(item);
-    await write(filename, data);
-    return item;
+    return driver.insert(filename, schema.upgrade(filename, item));
 }
 
 /**
- * Update an item
+ * Insert several items in one write
  */
-async function update(filename, predicate, updates) {
-    const data = await read(filename, []);
-    const index = data.findIndex(predicate);
-    
-    if (index === -1) {
-        return null;
-    }
-    
-    data[index] = { ...data[index], ...updates };
-    await write(filename, data);
-    return data[index];
+async function insertMany(filename, items) {
+    return driver.insertMany(filename, items.map(item => schema.upgrade(filename, item)));
 }
 
 /**
- * Delete an item
+ * Predicates see upgraded records; queries are passed through so the
+ * driver can use its indexes
  */
-async function remove(filename, predicate) {
-    const data = await read(filename, []);
-    const index = data.findIndex(predicate);
-    
-    if (index === -1) {
-        return false;
-    }
-    
-    data.splice(index, 1);
-    await write(filename, data);
-    return true;
+function driverWhere(filename, where) {
+    return typeof where === 'function' ? upgraded(filename, where) : where;
+}
+
+/**
+ * Update the first item matching a predicate or query
+ */
+async function update(filename, where, updates) {
+    return driver.update(filename, driverWhere(filename, where), updates);
+}
+
+/**
+ * Apply several changes in one write
+ * @param {Array<Object>} changes - { where, updates } pairs, each updating the first match
+ * @returns {Promise<Array>} - The updated records, null where nothing matched
+ */
+async function updateMany(filename, changes) {
+    return driver.updateMany(filename, changes.map(({ where, updates }) => ({ where: driverWhere(filename, where), updates })));
+}
+
+/**
+ * Delete every item matching a predicate or query
+ * @returns {Promise<boolean>} - True if anything was deleted
+ */
+async function remove(filename, where) {
+    return driver.remove(filename, driverWhere(filename, where));
 }
 
 /**
  * Get paginated results
  */
-async function paginate(filename, predicate = () => true, page = 1, limit = 10, sort = null) {
-    let data = await read(filename, []);
-    data = data.filter(predicate);
-    
-    if (sort) {
-        data.sort((a, b) => {
-            if (sort.order === 'desc') {
-                return b[sort.field] > a[sort.field] ? 1 : -1;
-            }
-            return a[sort.field] > b[sort.field] ? 1 : -1;
-        });
-    }
-    
+async function paginate(filename, where = () => true, page = 1, limit = 10, sort = null) {
+    const data = await query(filename, where, { sort });
+
     const total = data.length;
     const totalPages = Math.ceil(total / limit);
     const start = (page - 1) * limit;
     const items = data.slice(start, start + limit);
-    
+
     return {
         items,
         page,
@@ -172,14 +195,28 @@ async function paginate(filename, predicate = () => true, page = 1, limit = 10,
     };
 }
 
+/**
+ * Close the active driver (flushes and releases the database, if any)
+ */
+async function close() {
+    return driver.close();
+}
+
 module.exports = {
     read,
     write,
     findOne,
     findMany,
+    query,
     insert,
+    insertMany,
     update,
+    updateMany,
     remove,
     paginate,
+    close,
+    createDriver,
+    driver: driver.name,
+    COLLECTIONS,
     DATA_DIR
 };
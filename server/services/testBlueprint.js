@@ -0,0 +1,155 @@
+/**
+ * ACT Test Blueprint
+ * The passage structure of each section of a full-length ACT, and helpers
+ * to assemble generated passages into a section.
+ *
+ * Sections are generated one chunk (one passage, or a block of standalone
+ * math questions) at a time, so every request stays small enough for the
+ * model to answer in full and a failed chunk can be retried on its own.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const BLUEPRINTS = {
+    // 5 essays with 15 questions each
+    english: [
+        { type: 'Essay', topic: 'a personal narrative', questions: 15 },
+        { type: 'Essay', topic: 'a historical event or figure', questions: 15 },
+        { type: 'Essay', topic: 'science or technology', questions: 15 },
+        { type: 'Essay', topic: 'the arts or culture', questions: 15 },
+        { type: 'Essay', topic: 'a place, community or tradition', questions: 15 }
+    ],
+    // Standalone questions that get harder through the section
+    math: [
+        { type: 'Questions', difficulty: 'easy', questions: 10 },
+        { type: 'Questions', difficulty: 'easy to medium', questions: 10 },
+        { type: 'Questions', difficulty: 'medium', questions: 10 },
+        { type: 'Questions', difficulty: 'medium', questions: 10 },
+        { type: 'Questions', difficulty: 'medium to hard', questions: 10 },
+        { type: 'Questions', difficulty: 'hard', questions: 10 }
+    ],
+    // 4 passages of 10 questions, one of them a pair of shorter passages
+    reading: [
+        { type: 'Literary Narrative', questions: 10 },
+        { type: 'Social Science', questions: 10 },
+        { type: 'Humanities', questions: 10, paired: true },
+        { type: 'Natural Science', questions: 10 }
+    ],
+    // 7 passages; official forms use 6 or 7
+    science: [
+        { type: 'Data Representation', questions: 5 },
+        { type: 'Research Summaries', questions: 6 },
+        { type: 'Conflicting Viewpoints', questions: 7 },
+        { type: 'Data Representation', questions: 5 },
+        { type: 'Research Summaries', questions: 6 },
+        { type: 'Research Summaries', questions: 6 },
+        { type: 'Data Representation', questions: 5 }
+    ]
+};
+
+/**
+ * Get the chunks a section is generated in, with the question numbers
+ * each one covers
+ * @returns {Array<Object>} - [{ index, of, type, questions, firstNumber, ... }]
+ */
+function chunksFor(section) {
+    const blueprint = BLUEPRINTS[section];
+    if (!blueprint) {
+        throw new Error(`Invalid section: ${section}`);
+    }
+
+    let firstNumber = 1;
+    return blueprint.map((chunk, index) => {
+        const spec = { ...chunk, index, of: blueprint.length, firstNumber };
+        firstNumber += chunk.questions;
+        return spec;
+    });
+}
+
+/**
+ * Number of questions in a full section
+ */
+function questionCount(section) {
+    return (BLUEPRINTS[section] || []).reduce((sum, chunk) => sum + chunk.questions, 0);
+}
+
+/**
+ * Normalize a question for duplicate checks: case, punctuation and a
+ * leading question number are ignored
+ */
+function questionKey(question) {
+    return String(question.question || '')
+        .toLowerCase()
+        .replace(/^\s*\d+[.)]\s*/, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Remove questions that repeat one already seen in the section (or earlier
+ * in the same chunk). seen is updated with the keys that are kept.
+ * @returns {Object} - { questions, duplicates }
+ */
+function dedupe(questions, seen) {
+    const kept = [];
+    let duplicates = 0;
+
+    for (const question of questions) {
+        const key = questionKey(question);
+        if (!key || seen.has(key)) {
+            duplicates++;
+            continue;
+        }
+        seen.add(key);
+        kept.push(question);
+    }
+
+    return { questions: kept, duplicates };
+}
+
+/**
+ * Assemble generated chunks into a section in the shape the test routes
+ * use: { section, passages: [{ id, number, type, title, paired, text, questions }] }.
+ * Math has no passages, so its chunks become one list of questions.
+ * Questions get ids (answers are keyed by them) and are numbered through
+ * the section.
+ */
+function assembleSection(section, chunks) {
+    let passages = chunks.map((chunk, index) => ({
+        id: uuidv4(),
+        number: index + 1,
+        type: chunk.type,
+        title: chunk.title || '',
+        paired: !!chunk.paired,
+        text: chunk.text || '',
+        questions: chunk.questions
+    }));
+
+    if (section === 'math') {
+        passages = [{
+            id: uuidv4(),
+            number: 1,
+            type: 'Questions',
+            title: '',
+            paired: false,
+            text: '',
+            questions: passages.flatMap(passage => passage.questions)
+        }];
+    }
+
+    let number = 1;
+    for (const passage of passages) {
+        passage.questions = passage.questions.map(question => ({ ...question, id: uuidv4(), number: number++ }));
+    }
+
+    return { section, passages };
+}
+
+module.exports = {
+    BLUEPRINTS,
+    chunksFor,
+    questionCount,
+    questionKey,
+    dedupe,
+    assembleSection
+};
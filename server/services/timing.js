@@ -0,0 +1,128 @@
+/**
+ * Timing Service
+ * Server-side clocks for test sections and timed quizzes.
+ *
+ * The server records when a section or quiz starts and works out its
+ * deadline; the browser's countdown is only a display. Answers are accepted
+ * until the deadline plus a grace period (TIMER_GRACE_SECONDS) that covers
+ * network latency and the last auto-save.
+ *
+ * Extended-time accommodations are set per user by an admin
+ * (user.accommodations.extendedTime: 0, 50 or 100 percent) and multiply
+ * every time limit.
+ *
+ * A paused clock has no deadline; it keeps the seconds that were left and
+ * gets a new deadline when it resumes.
+ */
+
+const GRACE_SECONDS = parseInt(process.env.TIMER_GRACE_SECONDS || '30', 10);
+
+const EXTENDED_TIME_OPTIONS = [0, 50, 100];
+
+/**
+ * Get the time-limit multiplier for a user, e.g. 1.5 for 50% extended time
+ */
+function multiplier(user) {
+    const extendedTime = user && user.accommodations ? user.accommodations.extendedTime : 0;
+    return EXTENDED_TIME_OPTIONS.includes(extendedTime) ? 1 + extendedTime / 100 : 1;
+}
+
+/**
+ * Start a clock
+ * @param {number} minutes - Standard time limit
+ * @param {number} timeMultiplier - From multiplier()
+ * @returns {Object} - { startedAt, deadline, timeLimit } with timeLimit in minutes after accommodations
+ */
+function start(minutes, timeMultiplier = 1, now = Date.now()) {
+    const timeLimit = minutes * timeMultiplier;
+    return {
+        startedAt: new Date(now).toISOString(),
+        deadline: new Date(now + timeLimit * 60 * 1000).toISOString(),
+        timeLimit
+    };
+}
+
+/**
+ * Seconds left before the deadline (0 once it has passed), or null if
+ * there is no deadline
+ */
+function remaining(deadline, now = Date.now()) {
+    if (!deadline) {
+        return null;
+    }
+    return Math.max(0, Math.ceil((new Date(deadline).getTime() - now) / 1000));
+}
+
+/**
+ * Whether the deadline and its grace period have passed
+ */
+function isExpired(deadline, now = Date.now()) {
+    return !!deadline && now > new Date(deadline).getTime() + GRACE_SECONDS * 1000;
+}
+
+/**
+ * Seconds spent between the start and now, capped at the deadline and
+ * not counting time spent paused
+ */
+function elapsed(startedAt, deadline, now = Date.now(), pausedSeconds = 0) {
+    if (!startedAt) {
+        return null;
+    }
+    const end = deadline ? Math.min(now, new Date(deadline).getTime()) : now;
+    return Math.max(0, Math.round((end - new Date(startedAt).getTime()) / 1000 - pausedSeconds));
+}
+
+/**
+ * Pause a running clock
+ * @returns {Object} - Updates for the clock: { deadline: null, pausedAt, pausedRemaining }
+ */
+function pause(clock, now = Date.now()) {
+    return {
+        deadline: null,
+        pausedAt: new Date(now).toISOString(),
+        pausedRemaining: remaining(clock.deadline, now)
+    };
+}
+
+/**
+ * Resume a paused clock with the time it had left
+ * @returns {Object} - Updates for the clock: { deadline, pausedAt: null, pausedRemaining: null, pausedSeconds }
+ */
+function resume(clock, now = Date.now()) {
+    const pausedFor = clock.pausedAt ? (now - new Date(clock.pausedAt).getTime()) / 1000 : 0;
+    return {
+        deadline: new Date(now + (clock.pausedRemaining || 0) * 1000).toISOString(),
+        pausedAt: null,
+        pausedRemaining: null,
+        pausedSeconds: Math.round((clock.pausedSeconds || 0) + pausedFor)
+    };
+}
+
+/**
+ * Describe a clock for clients, which count down from timeRemaining rather
+ * than trusting their own clock against the deadline
+ */
+function describe(clock, now = Date.now()) {
+    const paused = !!clock.pausedAt;
+    return {
+        startedAt: clock.startedAt || null,
+        deadline: clock.deadline || null,
+        timeRemaining: paused ? clock.pausedRemaining : remaining(clock.deadline, now),
+        paused,
+        graceSeconds: GRACE_SECONDS,
+        serverTime: new Date(now).toISOString()
+    };
+}
+
+module.exports = {
+    GRACE_SECONDS,
+    EXTENDED_TIME_OPTIONS,
+    multiplier,
+    start,
+    remaining,
+    isExpired,
+    elapsed,
+    pause,
+    resume,
+    describe
+};
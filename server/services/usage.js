@@ -0,0 +1,218 @@
+/**
+ * AI Usage Service
+ * Token metering for every AI call, per-user budgets and usage reports.
+ *
+ * Each successful call is stored in usage.json with the user, feature and
+ * model that answered. Budgets are in tokens per UTC day and month, from
+ * AI_DAILY_TOKEN_BUDGET / AI_MONTHLY_TOKEN_BUDGET (0 = unlimited), and can
+ * be overridden per user with user.aiBudget = { daily, monthly }.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+const DAILY_BUDGET = parseInt(process.env.AI_DAILY_TOKEN_BUDGET || '0', 10);
+const MONTHLY_BUDGET = parseInt(process.env.AI_MONTHLY_TOKEN_BUDGET || '0', 10);
+
+/**
+ * Prices in USD per million tokens, from AI_MODEL_PRICES
+ * ("model-key=input:output,..."). Models without a price report no cost.
+ */
+function parsePrices(value) {
+    const prices = {};
+    for (const entry of (value || '').split(',')) {
+        const [model, price] = entry.split('=').map(part => part && part.trim());
+        if (model && price) {
+            const [input, output] = price.split(':').map(parseFloat);
+            prices[model] = { input: input || 0, output: isNaN(output) ? input || 0 : output };
+        }
+    }
+    return prices;
+}
+
+const PRICES = parsePrices(process.env.AI_MODEL_PRICES);
+
+function startOfDay(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function startOfMonth(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function cost(record) {
+    const price = PRICES[record.model];
+    if (!price) {
+        return null;
+    }
+    return (record.promptTokens * price.input + record.completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Roughly four characters per token, for providers that don't report usage
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Store the usage of one AI call
+ * @param {Object} entry - { userId, feature, model, usage, estimated }
+ *   usage is the provider's block: { prompt_tokens, completion_tokens, total_tokens }
+ */
+async function record({ userId, feature, model, usage, estimated = false }) {
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+
+    const entry = {
+        id: uuidv4(),
+        userId,
+        feature,
+        model,
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.total_tokens || promptTokens + completionTokens,
+        estimated,
+        createdAt: new Date().toISOString()
+    };
+
+    await storage.insert('usage.json', entry);
+    return entry;
+}
+
+/**
+ * Get a user's effective budgets
+ * @returns {Object} - { daily, monthly } in tokens, 0 = unlimited
+ */
+function budgetsFor(user) {
+    const override = (user && user.aiBudget) || {};
+    return {
+        daily: override.daily !== undefined && override.daily !== null ? override.daily : DAILY_BUDGET,
+        monthly: override.monthly !== undefined && override.monthly !== null ? override.monthly : MONTHLY_BUDGET
+    };
+}
+
+/**
+ * Tokens a user has used today and this month
+ */
+async function usedTokens(userId) {
+    const dayStart = startOfDay().toISOString();
+    const monthStart = startOfMonth().toISOString();
+    const records = await storage.findMany('usage.json', { userId });
+
+    let daily = 0;
+    let monthly = 0;
+    for (const entry of records) {
+        if (entry.createdAt >= monthStart) {
+            monthly += entry.totalTokens;
+            if (entry.createdAt >= dayStart) {
+                daily += entry.totalTokens;
+            }
+        }
+    }
+    return { daily, monthly };
+}
+
+/**
+ * Get a user's budget status
+ * @returns {Object} - { daily: { used, limit, remaining }, monthly: { ... } }
+ */
+async function budgetStatus(userId) {
+    const user = await storage.findOne('users.json', { id: userId });
+    const limits = budgetsFor(user);
+    const used = await usedTokens(userId);
+
+    const status = (period) => ({
+        used: used[period],
+        limit: limits[period] || null,
+        remaining: limits[period] ? Math.max(limits[period] - used[period], 0) : null
+    });
+
+    return { daily: status('daily'), monthly: status('monthly') };
+}
+
+/**
+ * Reject a call before it's made if the user is over budget
+ */
+async function checkBudget(userId) {
+    const status = await budgetStatus(userId);
+
+    for (const period of ['daily', 'monthly']) {
+        if (status[period].limit && status[period].remaining <= 0) {
+            const error = new Error(`You have reached your ${period} AI usage limit. Please try again ${period === 'daily' ? 'tomorrow' : 'next month'}.`);
+            error.statusCode = 429;
+            error.budgetExceeded = period;
+            throw error;
+        }
+    }
+}
+
+function emptyTotals() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: null };
+}
+
+function addTo(group, entry) {
+    group.calls++;
+    group.promptTokens += entry.promptTokens;
+    group.completionTokens += entry.completionTokens;
+    group.totalTokens += entry.totalTokens;
+
+    const entryCost = cost(entry);
+    if (entryCost !== null) {
+        group.cost = (group.cost || 0) + entryCost;
+    }
+}
+
+/**
+ * Total usage records, grouped by a field
+ */
+function totalsBy(records, field) {
+    const groups = {};
+    for (const entry of records) {
+        const key = entry[field] || 'unknown';
+        if (!groups[key]) {
+            groups[key] = emptyTotals();
+        }
+        addTo(groups[key], entry);
+    }
+    return groups;
+}
+
+/**
+ * Summarize usage between two dates
+ * @param {Object} filter - { userId, from, to } (ISO strings, all optional)
+ * @returns {Promise<Object>} - { from, to, total, byFeature, byModel, records }
+ */
+async function summarize({ userId, from, to } = {}) {
+    const start = from || startOfMonth().toISOString();
+    // A bare date includes the whole day
+    const end = !to ? new Date().toISOString()
+        : /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z`
+        : to;
+
+    const records = (await storage.findMany('usage.json', userId ? { userId } : {}))
+        .filter(entry => entry.createdAt >= start && entry.createdAt <= end);
+
+    const total = emptyTotals();
+    records.forEach(entry => addTo(total, entry));
+
+    return {
+        from: start,
+        to: end,
+        total,
+        byFeature: totalsBy(records, 'feature'),
+        byModel: totalsBy(records, 'model'),
+        records
+    };
+}
+
+module.exports = {
+    record,
+    estimateTokens,
+    budgetsFor,
+    budgetStatus,
+    checkBudget,
+    summarize,
+    startOfDay,
+    startOfMonth
+};